@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+class AuthenticationError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AuthenticationError';
+        this.status = status;
+    }
+}
+
+class Authenticator {
+    constructor(options = {}) {
+        this.secret = options.secret;
+        this.cacheTtl = options.cacheTtl || 60000;
+        this.cacheSize = options.cacheSize || 1000;
+        this.syncInterval = options.syncInterval || 5000;
+        this.cache = new Map();
+        this.revokedTokens = new Map();
+        this.revokedUsers = new Map();
+        this.since = null;
+        this.syncing = false;
+        this.syncTimer = null;
+        this.lastSyncAt = null;
+        this.lastSyncError = null;
+        this.stats = { hits: 0, misses: 0, rejected: 0 };
+    }
+
+    authenticate(authHeader, now = Date.now()) {
+        if (!authHeader?.startsWith('Bearer ')) {
+            throw new AuthenticationError('Token obrigatório');
+        }
+        const token = authHeader.slice(7).trim();
+        const key = crypto.createHash('sha256').update(token).digest('base64url');
+
+        let entry = this.cache.get(key);
+        this.cache.delete(key);
+        if (entry && entry.expiresAt > now) {
+            this.stats.hits++;
+        } else {
+            this.stats.misses++;
+            entry = this.verify(token, now);
+        }
+
+        if (this.isRevoked(entry.user)) {
+            this.stats.rejected++;
+            throw new AuthenticationError('Token revogado');
+        }
+
+        this.cache.set(key, entry);
+        if (this.cache.size > this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return entry.user;
+    }
+
+    verify(token, now) {
+        let payload;
+        try {
+            payload = jwt.verify(token, this.secret);
+        } catch (error) {
+            this.stats.rejected++;
+            throw new AuthenticationError(error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido');
+        }
+        if (!payload.id || !payload.role) {
+            this.stats.rejected++;
+            throw new AuthenticationError('Token sem identidade do usuário');
+        }
+
+        const user = {
+            id: payload.id,
+            email: payload.email,
+            username: payload.username,
+            role: payload.role,
+            tokenId: payload.jti || null,
+            tokenExpiresAt: payload.exp ? payload.exp * 1000 : null,
+            issuedAt: payload.iat
+        };
+        return { user, expiresAt: Math.min(now + this.cacheTtl, user.tokenExpiresAt || Infinity) };
+    }
+
+    isRevoked(user) {
+        if (user.tokenId && this.revokedTokens.has(user.tokenId)) return true;
+        const revocation = this.revokedUsers.get(user.id);
+        return Boolean(revocation) && user.issuedAt < revocation.issuedBefore;
+    }
+
+    applyRevocations(revocations, now = Date.now()) {
+        let applied = 0;
+        revocations.forEach(revocation => {
+            const expiresAt = Date.parse(revocation.expiresAt);
+            if (revocation.type === 'token' && revocation.tokenId) {
+                if (!this.revokedTokens.has(revocation.tokenId)) applied++;
+                this.revokedTokens.set(revocation.tokenId, expiresAt);
+            } else if (revocation.type === 'user') {
+                const issuedBefore = Math.floor(Date.parse(revocation.issuedBefore || revocation.revokedAt) / 1000);
+                const previous = this.revokedUsers.get(revocation.userId);
+                if (!previous || previous.issuedBefore < issuedBefore) {
+                    applied++;
+                    this.revokedUsers.set(revocation.userId, { issuedBefore, expiresAt });
+                }
+            }
+            if (!this.since || revocation.revokedAt > this.since) this.since = revocation.revokedAt;
+        });
+
+        for (const [tokenId, expiresAt] of this.revokedTokens) {
+            if (expiresAt <= now) this.revokedTokens.delete(tokenId);
+        }
+        for (const [userId, revocation] of this.revokedUsers) {
+            if (revocation.expiresAt <= now) this.revokedUsers.delete(userId);
+        }
+        return applied;
+    }
+
+    startRevocationSync(fetchRevocations) {
+        if (this.syncTimer) return;
+        const sync = async () => {
+            if (this.syncing) return;
+            this.syncing = true;
+            try {
+                const { revocations } = await fetchRevocations(this.since);
+                const applied = this.applyRevocations(revocations);
+                if (applied > 0) console.log(`🔐 ${applied} revogação(ões) de token aplicada(s)`);
+                if (this.lastSyncError) console.log('🔐 Sincronização de revogações restabelecida');
+                this.lastSyncAt = new Date().toISOString();
+                this.lastSyncError = null;
+            } catch (error) {
+                if (!this.lastSyncError) console.warn('🔐 Falha ao sincronizar revogações de token:', error.message);
+                this.lastSyncError = { message: error.message, timestamp: new Date().toISOString() };
+            } finally {
+                this.syncing = false;
+            }
+        };
+
+        sync();
+        this.syncTimer = setInterval(sync, this.syncInterval);
+        this.syncTimer.unref();
+    }
+
+    describe() {
+        return {
+            cache: { size: this.cache.size, maxSize: this.cacheSize, ttl: this.cacheTtl, hits: this.stats.hits, misses: this.stats.misses },
+            rejected: this.stats.rejected,
+            revocations: {
+                tokens: this.revokedTokens.size,
+                users: this.revokedUsers.size,
+                since: this.since,
+                syncInterval: this.syncInterval,
+                lastSyncAt: this.lastSyncAt,
+                lastError: this.lastSyncError
+            }
+        };
+    }
+}
+
+Authenticator.AuthenticationError = AuthenticationError;
+
+module.exports = Authenticator;
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+
+const STRATEGIES = ['round-robin', 'least-outstanding', 'weighted', 'consistent-hash'];
+const VIRTUAL_NODES = 100;
+
+function hash(value) {
+    return crypto.createHash('md5').update(String(value)).digest().readUInt32BE(0);
+}
+
+class LoadBalancer {
+    static parseStrategies(value = '') {
+        return Object.fromEntries(value.split(',')
+            .map(entry => entry.split('=').map(part => part.trim()))
+            .filter(([serviceName, strategy]) => serviceName && strategy));
+    }
+
+    constructor(options = {}) {
+        this.strategy = options.strategy || 'round-robin';
+        this.strategies = options.strategies || {};
+        this.ejectionThreshold = options.ejectionThreshold || 3;
+        this.ejectionTime = options.ejectionTime || 30000;
+        this.maxEjectionTime = options.maxEjectionTime || 300000;
+        this.counters = new Map();
+        this.rings = new Map();
+        this.stats = new Map();
+
+        [this.strategy, ...Object.values(this.strategies)].forEach(strategy => {
+            if (!STRATEGIES.includes(strategy)) {
+                throw new Error(`Estratégia de balanceamento desconhecida: ${strategy} (${STRATEGIES.join(', ')})`);
+            }
+        });
+    }
+
+    strategyFor(serviceName) {
+        return this.strategies[serviceName] || this.strategy;
+    }
+
+    pick(serviceName, instances, key) {
+        if (instances.length === 0) return null;
+        const available = instances.filter(instance => !this.isEjected(serviceName, instance));
+        const candidates = (available.length > 0 ? available : instances).slice().sort((a, b) => a.id.localeCompare(b.id));
+
+        switch (this.strategyFor(serviceName)) {
+            case 'least-outstanding':
+                return this.leastOutstanding(serviceName, candidates);
+            case 'weighted':
+                return this.weighted(serviceName, candidates);
+            case 'consistent-hash':
+                return key ? this.consistentHash(serviceName, candidates, key) : this.roundRobin(serviceName, candidates);
+            default:
+                return this.roundRobin(serviceName, candidates);
+        }
+    }
+
+    roundRobin(serviceName, candidates) {
+        const counter = this.counters.get(serviceName) || 0;
+        this.counters.set(serviceName, counter + 1);
+        return candidates[counter % candidates.length];
+    }
+
+    leastOutstanding(serviceName, candidates) {
+        return candidates.reduce((best, instance) => {
+            const current = this.getStats(serviceName, instance.id);
+            const chosen = this.getStats(serviceName, best.id);
+            if (current.outstanding !== chosen.outstanding) return current.outstanding < chosen.outstanding ? instance : best;
+            return current.requests < chosen.requests ? instance : best;
+        });
+    }
+
+    weighted(serviceName, candidates) {
+        let total = 0;
+        let best = null;
+        candidates.forEach(instance => {
+            const stats = this.getStats(serviceName, instance.id);
+            const weight = Math.max(Number(instance.weight) || 1, 0);
+            stats.currentWeight += weight;
+            total += weight;
+            if (!best || stats.currentWeight > this.getStats(serviceName, best.id).currentWeight) best = instance;
+        });
+        this.getStats(serviceName, best.id).currentWeight -= total;
+        return best;
+    }
+
+    consistentHash(serviceName, candidates, key) {
+        const signature = candidates.map(instance => instance.id).join(',');
+        let ring = this.rings.get(serviceName);
+        if (!ring || ring.signature !== signature) {
+            const nodes = candidates.flatMap(instance => Array.from({ length: VIRTUAL_NODES }, (value, replica) => ({
+                point: hash(`${instance.id}#${replica}`),
+                instance
+            }))).sort((a, b) => a.point - b.point);
+            ring = { signature, nodes };
+            this.rings.set(serviceName, ring);
+        }
+
+        const point = hash(key);
+        const node = ring.nodes.find(entry => entry.point >= point) || ring.nodes[0];
+        return candidates.find(instance => instance.id === node.instance.id);
+    }
+
+    begin(serviceName, instance) {
+        const stats = this.getStats(serviceName, instance.id);
+        stats.url = instance.url;
+        stats.outstanding++;
+        stats.requests++;
+        stats.lastUsed = new Date().toISOString();
+        const startedAt = Date.now();
+
+        return ({ success }) => {
+            const latency = Date.now() - startedAt;
+            stats.outstanding--;
+            stats.totalLatency += latency;
+            stats.averageLatencyMs = Math.round(stats.totalLatency / stats.requests);
+
+            if (success) {
+                stats.consecutiveFailures = 0;
+                stats.ejectionLevel = 0;
+                return;
+            }
+
+            stats.failures++;
+            stats.consecutiveFailures++;
+            if (stats.consecutiveFailures >= this.ejectionThreshold) {
+                stats.ejectionLevel++;
+                stats.ejections++;
+                stats.consecutiveFailures = 0;
+                stats.ejectedUntil = Date.now() + Math.min(this.ejectionTime * stats.ejectionLevel, this.maxEjectionTime);
+                console.warn(`⚖️ Instância ${instance.id} de ${serviceName} ejetada até ${new Date(stats.ejectedUntil).toISOString()}`);
+            }
+        };
+    }
+
+    isEjected(serviceName, instance) {
+        const stats = this.stats.get(`${serviceName}/${instance.id}`);
+        return Boolean(stats && stats.ejectedUntil && stats.ejectedUntil > Date.now());
+    }
+
+    getStats(serviceName, instanceId) {
+        const key = `${serviceName}/${instanceId}`;
+        if (!this.stats.has(key)) {
+            this.stats.set(key, {
+                serviceName,
+                instanceId,
+                url: null,
+                requests: 0,
+                failures: 0,
+                outstanding: 0,
+                consecutiveFailures: 0,
+                ejections: 0,
+                ejectionLevel: 0,
+                ejectedUntil: null,
+                totalLatency: 0,
+                averageLatencyMs: 0,
+                currentWeight: 0,
+                lastUsed: null
+            });
+        }
+        return this.stats.get(key);
+    }
+
+    forget(serviceName, instanceId) {
+        this.stats.delete(`${serviceName}/${instanceId}`);
+    }
+
+    describe(serviceName, instanceId) {
+        const { serviceName: name, instanceId: id, totalLatency, currentWeight, ejectionLevel, ...stats } = this.getStats(serviceName, instanceId);
+        return {
+            ...stats,
+            ejected: this.isEjected(serviceName, { id: instanceId }),
+            ejectedUntil: stats.ejectedUntil ? new Date(stats.ejectedUntil).toISOString() : null
+        };
+    }
+}
+
+module.exports = LoadBalancer;
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const { watchFile } = require('../shared/storage/fileUtils');
+
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+const DEFAULTS = { methods: METHODS, auth: false, roles: [], timeout: 10000, retries: 0 };
+
+class RouteTable {
+    static normalize(config) {
+        if (!config || !Array.isArray(config.routes)) {
+            throw new Error('Configuração de rotas deve ter um array "routes"');
+        }
+        const defaults = { ...DEFAULTS, ...(config.defaults || {}) };
+
+        return config.routes.map((entry, position) => {
+            const route = { ...defaults, ...entry };
+            const label = `Rota ${position} (${entry.prefix || 'sem prefixo'})`;
+
+            if (typeof route.prefix !== 'string' || !route.prefix.startsWith('/')) {
+                throw new Error(`${label}: "prefix" deve começar com "/"`);
+            }
+            if (typeof route.service !== 'string' || !route.service) {
+                throw new Error(`${label}: "service" é obrigatório`);
+            }
+            if (route.rewrite !== undefined && typeof route.rewrite !== 'string') {
+                throw new Error(`${label}: "rewrite" deve ser texto`);
+            }
+            if (!Array.isArray(route.methods) || route.methods.some(method => !METHODS.includes(String(method).toUpperCase()))) {
+                throw new Error(`${label}: "methods" deve conter apenas ${METHODS.join(', ')}`);
+            }
+            if (!Array.isArray(route.roles) || route.roles.some(role => typeof role !== 'string' || !role)) {
+                throw new Error(`${label}: "roles" deve ser um array de papéis`);
+            }
+            if (!Number.isInteger(route.timeout) || route.timeout <= 0) {
+                throw new Error(`${label}: "timeout" deve ser um inteiro positivo em ms`);
+            }
+            if (!Number.isInteger(route.retries) || route.retries < 0) {
+                throw new Error(`${label}: "retries" deve ser um inteiro maior ou igual a 0`);
+            }
+
+            return {
+                prefix: route.prefix.replace(/\/+$/, '') || '/',
+                service: route.service,
+                rewrite: route.rewrite !== undefined ? route.rewrite.replace(/\/+$/, '') : route.prefix.replace(/\/+$/, ''),
+                methods: route.methods.map(method => method.toUpperCase()),
+                auth: Boolean(route.auth) || route.roles.length > 0,
+                roles: route.roles,
+                timeout: route.timeout,
+                retries: route.retries
+            };
+        });
+    }
+
+    constructor(configFile) {
+        this.configFile = configFile;
+        this.routes = [];
+        this.loadedAt = null;
+        this.revision = 0;
+        this.lastError = null;
+        this.watcher = null;
+        this.reloadTimer = null;
+    }
+
+    load() {
+        const routes = RouteTable.normalize(JSON.parse(fs.readFileSync(this.configFile, 'utf8')));
+        this.routes = routes;
+        this.loadedAt = new Date().toISOString();
+        this.revision++;
+        this.lastError = null;
+        return routes;
+    }
+
+    reload() {
+        try {
+            const routes = this.load();
+            console.log(`🧭 Tabela de rotas recarregada (revisão ${this.revision}, ${routes.length} rotas)`);
+        } catch (error) {
+            this.lastError = { message: error.message, timestamp: new Date().toISOString() };
+            console.error(`🧭 Tabela de rotas inválida em ${this.configFile}, mantendo revisão ${this.revision}:`, error.message);
+        }
+    }
+
+    watch() {
+        if (this.watcher) return;
+        this.watcher = watchFile(this.configFile, () => {
+            if (this.reloadTimer) return;
+            this.reloadTimer = setTimeout(() => {
+                this.reloadTimer = null;
+                this.reload();
+            }, 100);
+            this.reloadTimer.unref();
+        });
+        this.watcher.on('error', error => {
+            console.error(`Erro ao monitorar ${this.configFile}:`, error.message);
+            this.watcher = null;
+        });
+    }
+
+    match(url, method) {
+        const queryStart = url.indexOf('?');
+        const pathname = queryStart === -1 ? url : url.slice(0, queryStart);
+        const query = queryStart === -1 ? '' : url.slice(queryStart);
+
+        const candidates = this.routes
+            .filter(route => pathname === route.prefix || pathname.startsWith(`${route.prefix}/`) || route.prefix === '/')
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+        if (candidates.length === 0) return null;
+
+        const longest = candidates[0].prefix.length;
+        const sameLength = candidates.filter(route => route.prefix.length === longest);
+        const route = sameLength.find(candidate => candidate.methods.includes(method));
+        if (!route) {
+            return { route: null, allowed: [...new Set(sameLength.flatMap(candidate => candidate.methods))] };
+        }
+
+        const rest = route.prefix === '/' ? pathname : pathname.slice(route.prefix.length);
+        const targetPath = `${route.rewrite}${rest}`;
+        return { route, targetPath: (targetPath === '/' ? '' : targetPath) + query };
+    }
+
+    describe() {
+        return {
+            source: this.configFile,
+            revision: this.revision,
+            loadedAt: this.loadedAt,
+            lastError: this.lastError,
+            routes: this.routes
+        };
+    }
+}
+
+module.exports = RouteTable;
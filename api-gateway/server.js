@@ -4,15 +4,43 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const axios = require('axios');
 const path = require('path');
+const semver = require('semver');
 
 const serviceRegistry = require('../shared/serviceRegistry');
+const identity = require('../shared/identity');
+const { getSecret, requireSecrets } = require('../shared/secrets');
+const LoadBalancer = require('./LoadBalancer');
+const RouteTable = require('./RouteTable');
+const Authenticator = require('./Authenticator');
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const GATEWAY_IDENTITY = { id: 'api-gateway', username: 'api-gateway', role: 'service' };
 
 class APIGateway {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3000;
+        this.defaultApiVersion = process.env.API_DEFAULT_VERSION || '1';
 
         this.circuitBreakers = new Map();
+        this.loadBalancer = new LoadBalancer({
+            strategy: process.env.LOAD_BALANCER_STRATEGY,
+            strategies: LoadBalancer.parseStrategies(process.env.LOAD_BALANCER_STRATEGIES),
+            ejectionThreshold: parseInt(process.env.EJECTION_THRESHOLD || '3'),
+            ejectionTime: parseInt(process.env.EJECTION_TIME || '30000')
+        });
+        this.routeTable = new RouteTable(process.env.GATEWAY_ROUTES_FILE || path.join(__dirname, 'routes.json'));
+        this.routeTable.load();
+        this.routeTable.watch();
+        this.authenticator = new Authenticator({
+            secret: getSecret('JWT_SECRET'),
+            cacheTtl: parseInt(process.env.AUTH_CACHE_TTL || '60000'),
+            cacheSize: parseInt(process.env.AUTH_CACHE_SIZE || '1000'),
+            syncInterval: parseInt(process.env.AUTH_REVOCATION_SYNC_INTERVAL || '5000')
+        });
+
+        serviceRegistry.watch();
+        serviceRegistry.on('change', this.handleTopologyChange.bind(this));
 
         this.setupMiddleware();
         this.setupRoutes();
@@ -25,7 +53,7 @@ class APIGateway {
 
     setupMiddleware() {
         this.app.use(helmet());
-        this.app.use(cors());
+        this.app.use(cors({ exposedHeaders: ['ETag', 'X-Service-Version'] }));
         this.app.use(morgan('combined'));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
@@ -41,22 +69,51 @@ class APIGateway {
             console.log(`${req.method} ${req.originalUrl} - ${req.ip}`);
             next();
         });
+
+        this.app.use(this.resolveApiVersion.bind(this));
+    }
+
+    resolveApiVersion(req, res, next) {
+        const versioned = req.url.match(/^\/api\/v(\d+)(\/.*)$/);
+        if (versioned) {
+            req.url = `/api${versioned[2]}`;
+            req.gatewayUrl = req.url;
+            req.apiVersion = `^${versioned[1]}`;
+            return next();
+        }
+
+        const requested = req.header('Accept-Version') || req.header('X-API-Version');
+        if (!requested) {
+            req.apiVersion = null;
+            return next();
+        }
+
+        const range = /^\d+$/.test(requested.trim()) ? `^${requested.trim()}` : requested;
+        if (!semver.validRange(range)) {
+            return res.status(400).json({
+                success: false,
+                message: `Versão de API inválida: ${requested}`
+            });
+        }
+        req.apiVersion = range;
+        next();
     }
 
     setupRoutes() {
-        this.app.get('/health', (req, res) => {
-            const services = serviceRegistry.listServices();
+        this.app.get('/health', async (req, res) => {
+            const services = await serviceRegistry.listServices();
             res.json({
                 service: 'api-gateway',
                 status: 'healthy',
                 timestamp: new Date().toISOString(),
                 architecture: 'Microservices with NoSQL',
                 services: services,
-                serviceCount: Object.keys(services).length
+                serviceCount: Object.keys(services).length,
+                authentication: this.authenticator.describe()
             });
         });
 
-        this.app.get('/', (req, res) => {
+        this.app.get('/', async (req, res) => {
             res.json({
                 service: 'API Gateway',
                 version: '1.0.0',
@@ -67,18 +124,25 @@ class APIGateway {
                     auth: '/api/auth/*',
                     users: '/api/users/*',
                     items: '/api/items/*',
+                    suggest: '/api/items/suggest',
                     lists: '/api/lists/*',
                     health: '/health',
                     registry: '/registry',
+                    routes: '/routes',
                     dashboard: '/api/dashboard',
                     search: '/api/search'
                 },
-                services: serviceRegistry.listServices()
+                versioning: {
+                    path: '/api/v2/lists',
+                    header: 'Accept-Version: 2',
+                    default: `^${this.defaultApiVersion}`
+                },
+                services: await serviceRegistry.listServices()
             });
         });
 
-        this.app.get('/registry', (req, res) => {
-            const services = serviceRegistry.listServices();
+        this.app.get('/registry', async (req, res) => {
+            const services = this.withBalancerStats(await serviceRegistry.listServices());
             res.json({
                 success: true,
                 services: services,
@@ -87,38 +151,26 @@ class APIGateway {
             });
         });
 
-        this.app.get('/debug/services', (req, res) => {
-            serviceRegistry.debugListServices();
+        this.app.get('/debug/services', async (req, res) => {
+            await serviceRegistry.debugListServices();
             res.json({
                 success: true,
-                services: serviceRegistry.listServices(),
-                stats: serviceRegistry.getStats()
+                services: await serviceRegistry.listServices(),
+                stats: await serviceRegistry.getStats()
             });
         });
 
-        this.app.use('/api/auth', (req, res, next) => {
-            console.log(`🔗 Roteando para user-service: ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('user-service', req, res, next);
-        });
-
-        this.app.use('/api/users', (req, res, next) => {
-            console.log(`🔗 Roteando para user-service: ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('user-service', req, res, next);
+        this.app.get('/routes', this.requireAuth(['admin']), (req, res) => {
+            res.json({
+                success: true,
+                data: this.routeTable.describe()
+            });
         });
 
         this.app.get('/api/search', this.globalSearch.bind(this));
+        this.app.get('/api/dashboard', this.requireAuth(), this.getDashboard.bind(this));
 
-        this.app.use('/api/items', (req, res, next) => {
-            console.log(`🔗 Roteando para item-service: ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('item-service', req, res, next);
-        });
-
-        this.app.use('/api/lists', (req, res, next) => {
-            console.log(`🔗 Roteando para list-service: ${req.method} ${req.originalUrl}`);
-            this.proxyRequest('list-service', req, res, next);
-        });
-
-        this.app.get('/api/dashboard', this.getDashboard.bind(this));
+        this.app.use(this.routeRequest.bind(this));
     }
 
     setupErrorHandling() {
@@ -148,10 +200,58 @@ class APIGateway {
         });
     }
 
-    async proxyRequest(serviceName, req, res, next) {
+    routeRequest(req, res, next) {
+        const match = this.routeTable.match(req.gatewayUrl || req.originalUrl, req.method);
+        if (!match) return next();
+
+        if (!match.route) {
+            res.setHeader('Allow', match.allowed.join(', '));
+            return res.status(405).json({
+                success: false,
+                message: `Método ${req.method} não permitido em ${req.originalUrl}`,
+                allowed: match.allowed
+            });
+        }
+
+        if (match.route.auth && !this.authorize(req, res, match.route.roles)) return;
+
+        console.log(`🔗 Roteando para ${match.route.service}: ${req.method} ${req.originalUrl}`);
+        this.proxyRequest(match.route, match.targetPath, req, res);
+    }
+
+    authorize(req, res, roles = []) {
         try {
-            console.log(`🔗 Proxy request: ${req.method} ${req.originalUrl} -> ${serviceName}`);
+            req.user = this.authenticator.authenticate(req.header('Authorization'));
+        } catch (error) {
+            if (!(error instanceof Authenticator.AuthenticationError)) throw error;
+            res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+            return false;
+        }
 
+        if (roles.length > 0 && !roles.includes(req.user.role)) {
+            console.warn(`🔐 Acesso negado a ${req.user.username || req.user.id} (${req.user.role}): ${req.method} ${req.originalUrl} exige ${roles.join(' ou ')}`);
+            res.status(403).json({
+                success: false,
+                message: 'Acesso negado',
+                requiredRoles: roles
+            });
+            return false;
+        }
+        return true;
+    }
+
+    requireAuth(roles = []) {
+        return (req, res, next) => {
+            if (this.authorize(req, res, roles)) next();
+        };
+    }
+
+    async proxyRequest(route, targetPath, req, res) {
+        const serviceName = route.service;
+        try {
             if (this.isCircuitOpen(serviceName)) {
                 console.log(`⚡ Circuit breaker open for ${serviceName}`);
                 return res.status(503).json({
@@ -161,77 +261,77 @@ class APIGateway {
                 });
             }
 
-            let service;
-            try {
-                service = serviceRegistry.discover(serviceName);
-            } catch (error) {
-                console.error(`❌ Erro na descoberta do serviço ${serviceName}:`, error.message);
-                const availableServices = serviceRegistry.listServices();
-                console.log(`🔗 Serviços disponíveis:`, Object.keys(availableServices));
-
-                return res.status(503).json({
-                    success: false,
-                    message: `Serviço ${serviceName} não encontrado`,
-                    service: serviceName,
-                    availableServices: Object.keys(availableServices)
-                });
-            }
-
-            const originalPath = req.originalUrl;
-            let targetPath = '';
-
-            if (serviceName === 'user-service') {
-                if (originalPath.startsWith('/api/auth')) {
-                    targetPath = originalPath.replace('/api/auth', '/auth');
-                } else {
-                    targetPath = originalPath.replace('/api/users', '/users');
-                }
-            } else if (serviceName === 'item-service') {
-                if (originalPath.startsWith('/api/items/search')) {
-                    targetPath = '/search' + originalPath.slice('/api/items/search'.length);
-                } else if (originalPath.startsWith('/api/items/categories')) {
-                    targetPath = '/categories' + originalPath.slice('/api/items/categories'.length);
-                } else {
-                    targetPath = originalPath.replace('/api/items', '/items');
+            const attempts = IDEMPOTENT_METHODS.includes(req.method) ? route.retries + 1 : 1;
+            const tried = new Set();
+
+            for (let attempt = 1; ; attempt++) {
+                let service;
+                try {
+                    service = await this.selectInstance(serviceName, req.user?.id, req.apiVersion, tried);
+                } catch (error) {
+                    console.error(`❌ Erro na descoberta do serviço ${serviceName}:`, error.message);
+                    if (error.code === 'NO_MATCHING_INSTANCE') {
+                        return res.status(503).json({
+                            success: false,
+                            message: `Versão ${req.apiVersion} de ${serviceName} indisponível`,
+                            service: serviceName,
+                            requestedVersion: req.apiVersion,
+                            availableVersions: error.availableVersions
+                        });
+                    }
+                    const availableServices = await serviceRegistry.getServices().catch(() => ({}));
+
+                    return res.status(503).json({
+                        success: false,
+                        message: `Serviço ${serviceName} não encontrado`,
+                        service: serviceName,
+                        availableServices: Object.keys(availableServices)
+                    });
                 }
-            } else if (serviceName === 'list-service') {
-                targetPath = originalPath.replace('/api/lists', '/lists');
-            }
-
-            if (targetPath === '/' || targetPath === '') {
-                targetPath = '';
-            }
+                tried.add(service.id);
+
+                const targetUrl = `${service.url}${targetPath}`;
+                const config = {
+                    method: req.method,
+                    url: targetUrl,
+                    headers: { ...identity.stripIdentity(req.headers), ...(req.user ? identity.signIdentity(req.user) : {}) },
+                    timeout: route.timeout,
+                    family: 4,
+                    validateStatus: function (status) {
+                        return status < 500;
+                    }
+                };
 
-            const targetUrl = `${service.url}${targetPath}`;
-            console.log(`🔗 Target URL: ${targetUrl}`);
-
-            const config = {
-                method: req.method,
-                url: targetUrl,
-                headers: { ...req.headers },
-                timeout: 10000,
-                family: 4,
-                validateStatus: function (status) {
-                    return status < 500;
+                if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
+                    config.data = req.body;
                 }
-            };
-
-            if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
-                config.data = req.body;
-            }
-
-            delete config.headers.host;
-            delete config.headers['content-length'];
-
-            console.log(`🔗 Enviando ${req.method} para ${targetUrl}`);
-
-            const response = await axios(config);
 
-            this.resetCircuitBreaker(serviceName);
-            console.log(`🔗 Resposta recebida: ${response.status}`);
+                delete config.headers.host;
+                delete config.headers['content-length'];
+                delete config.headers.authorization;
+
+                console.log(`🔗 Enviando ${req.method} para ${targetUrl} (instância ${service.id}, versão ${service.version})`);
+
+                const release = this.beginRequest(serviceName, service);
+                let response;
+                try {
+                    response = await axios(config);
+                    release({ success: true });
+                } catch (error) {
+                    release({ success: false, reason: this.failureReason(error) });
+                    if (attempt < attempts && (!error.response || error.response.status >= 500)) {
+                        console.warn(`🔁 Tentativa ${attempt}/${attempts} para ${serviceName} falhou em ${service.id} (${this.failureReason(error)}); tentando novamente`);
+                        continue;
+                    }
+                    throw error;
+                }
 
-            res.status(response.status).json(response.data);
+                this.resetCircuitBreaker(serviceName);
+                console.log(`🔗 Resposta recebida: ${response.status}`);
 
+                this.forwardResponseHeaders(response, res);
+                return res.status(response.status).json(response.data);
+            }
         } catch (error) {
             this.recordFailure(serviceName);
             console.error(`❌ Proxy error for ${serviceName}:`, {
@@ -241,7 +341,7 @@ class APIGateway {
                 status: error.response?.status
             });
 
-            if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
+            if (['ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED'].includes(error.code)) {
                 res.status(503).json({
                     success: false,
                     message: `Serviço ${serviceName} indisponível`,
@@ -250,6 +350,7 @@ class APIGateway {
                 });
             } else if (error.response) {
                 console.log(`🔗 Encaminhando erro ${error.response.status} do serviço`);
+                this.forwardResponseHeaders(error.response, res);
                 res.status(error.response.status).json(error.response.data);
             } else {
                 res.status(500).json({
@@ -262,6 +363,58 @@ class APIGateway {
         }
     }
 
+    async selectInstance(serviceName, routingKey = null, version = null, exclude = new Set()) {
+        const instances = await this.discoverInstances(serviceName, version);
+        const untried = instances.filter(instance => !exclude.has(instance.id));
+        return this.loadBalancer.pick(serviceName, untried.length > 0 ? untried : instances, routingKey);
+    }
+
+    async discoverInstances(serviceName, version) {
+        if (version) return serviceRegistry.discoverAll(serviceName, { version });
+
+        const instances = await serviceRegistry.discoverAll(serviceName);
+        const preferred = instances.filter(instance =>
+            serviceRegistry.matches(instance, { version: `^${this.defaultApiVersion}` }));
+        return preferred.length > 0 ? preferred : instances;
+    }
+
+    handleTopologyChange({ type, service, instance }) {
+        switch (type) {
+            case 'register':
+                console.log(`🛰️ Instância disponível: ${service} [${instance.id}] - ${instance.url}`);
+                this.resetCircuitBreaker(service);
+                break;
+            case 'unregister':
+                console.log(`🛰️ Instância removida: ${service} [${instance.id}] - ${instance.url}`);
+                this.loadBalancer.forget(service, instance.id);
+                break;
+            case 'health':
+                console.log(`🛰️ Instância ${service} [${instance.id}] agora ${instance.healthy ? 'healthy' : 'unhealthy'}`);
+                if (instance.healthy) this.resetCircuitBreaker(service);
+                break;
+        }
+    }
+
+    withBalancerStats(services) {
+        Object.entries(services).forEach(([serviceName, service]) => {
+            service.strategy = this.loadBalancer.strategyFor(serviceName);
+            service.instances = service.instances.map(instance => ({
+                ...instance,
+                balancer: this.loadBalancer.describe(serviceName, instance.id),
+                healthCheck: serviceRegistry.describeHealth(serviceName, instance.id)
+            }));
+        });
+        return services;
+    }
+
+    forwardResponseHeaders(response, res) {
+        ['etag', 'last-modified', 'x-service-version'].forEach(header => {
+            if (response.headers[header]) {
+                res.setHeader(header, response.headers[header]);
+            }
+        });
+    }
+
     isCircuitOpen(serviceName) {
         const breaker = this.circuitBreakers.get(serviceName);
         if (!breaker) return false;
@@ -309,31 +462,11 @@ class APIGateway {
 
     async getDashboard(req, res) {
         try {
-            const authHeader = req.header('Authorization');
-            if (!authHeader) {
-                return res.status(401).json({
-                    success: false,
-                    message: 'Token de autenticação obrigatório'
-                });
-            }
-
-            let userId;
-            try {
-                const validateResponse = await axios.post('http://localhost:3001/auth/validate', {
-                    token: authHeader.replace('Bearer ', '')
-                });
-                userId = validateResponse.data.data.user.id;
-            } catch (error) {
-                return res.status(401).json({
-                    success: false,
-                    message: 'Token inválido'
-                });
-            }
-
-            const [userResponse, itemsResponse, listsResponse] = await Promise.allSettled([
-                this.callService('user-service', `/users/${userId}`, 'GET', authHeader),
-                this.callService('item-service', '/items', 'GET', authHeader, { limit: 5 }),
-                this.callService('list-service', '/lists', 'GET', authHeader, { limit: 5 })
+            const [userResponse, itemsResponse, listsResponse, statsResponse] = await Promise.allSettled([
+                this.callService('user-service', `/users/${req.user.id}`, 'GET', req.user),
+                this.callService('item-service', '/items', 'GET', req.user, { limit: 5 }),
+                this.callService('list-service', '/lists', 'GET', req.user, { limit: 5 }),
+                this.callService('list-service', '/lists/stats', 'GET', req.user)
             ]);
 
             const dashboard = {
@@ -353,6 +486,11 @@ class APIGateway {
                         available: listsResponse.status === 'fulfilled',
                         data: listsResponse.status === 'fulfilled' ? listsResponse.value.data : null,
                         error: listsResponse.status === 'rejected' ? listsResponse.reason.message : null
+                    },
+                    stats: {
+                        available: statsResponse.status === 'fulfilled',
+                        data: statsResponse.status === 'fulfilled' ? statsResponse.value.data : null,
+                        error: statsResponse.status === 'rejected' ? statsResponse.reason.message : null
                     }
                 }
             };
@@ -380,15 +518,15 @@ class APIGateway {
                 });
             }
 
-            const authHeader = req.header('Authorization');
+            if (req.header('Authorization') && !this.authorize(req, res)) return;
 
             const searches = [
-                this.callService('item-service', `/search?q=${encodeURIComponent(q)}`, 'GET', authHeader, {})
+                this.callService('item-service', `/search?q=${encodeURIComponent(q)}`, 'GET', req.user, {})
             ];
 
-            if (authHeader) {
+            if (req.user) {
                 searches.push(
-                    this.callService('list-service', `/search?q=${encodeURIComponent(q)}`, 'GET', authHeader, { })
+                    this.callService('list-service', `/search?q=${encodeURIComponent(q)}`, 'GET', req.user, { })
                 );
             }
 
@@ -424,30 +562,57 @@ class APIGateway {
         }
     }
 
-    async callService(serviceName, path, method = 'GET', authHeader = null, params = {}) {
-        const service = serviceRegistry.discover(serviceName);
+    async callService(serviceName, path, method = 'GET', user = null, params = {}) {
+        const service = await this.selectInstance(serviceName, user?.id);
         const config = {
             method,
             url: `${service.url}${path}`,
             timeout: 5000
         };
 
-        if (authHeader) {
-            config.headers = { Authorization: authHeader };
+        if (user) {
+            config.headers = identity.signIdentity(user);
         }
 
         if (method === 'GET' && Object.keys(params).length > 0) {
             config.params = params;
         }
 
-        const response = await axios(config);
-        return response.data;
+        const release = this.beginRequest(serviceName, service);
+        try {
+            const response = await axios(config);
+            release({ success: true });
+            return response.data;
+        } catch (error) {
+            release({ success: !!error.response && error.response.status < 500, reason: this.failureReason(error) });
+            throw error;
+        }
+    }
+
+    beginRequest(serviceName, instance) {
+        const release = this.loadBalancer.begin(serviceName, instance);
+        return ({ success, reason = null }) => {
+            release({ success });
+            serviceRegistry.reportOutcome(serviceName, instance, success, reason);
+        };
+    }
+
+    failureReason(error) {
+        return error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+    }
+
+    startRevocationSync() {
+        this.authenticator.startRevocationSync(async since => {
+            const query = since ? `?since=${encodeURIComponent(since)}` : '';
+            const response = await this.callService('user-service', `/auth/revocations${query}`, 'GET', GATEWAY_IDENTITY);
+            return response.data;
+        });
     }
 
     startHealthChecks() {
         setInterval(async () => {
             await serviceRegistry.performHealthChecks();
-        }, 30000);
+        }, serviceRegistry.healthChecker.interval);
 
         setTimeout(async () => {
             await serviceRegistry.performHealthChecks();
@@ -461,23 +626,25 @@ class APIGateway {
             console.log(`URL: http://localhost:${this.port}`);
             console.log(`Health: http://localhost:${this.port}/health`);
             console.log(`Registry: http://localhost:${this.port}/registry`);
+            console.log(`Rotas: http://localhost:${this.port}/routes`);
             console.log(`Dashboard: http://localhost:${this.port}/api/dashboard`);
             console.log(`Architecture: Microservices with NoSQL`);
             console.log('=====================================');
-            console.log('Rotas disponíveis:');
-            console.log('  POST /api/auth/register');
-            console.log('  POST /api/auth/login');
-            console.log('  GET  /api/users/:id');
-            console.log('  GET  /api/items');
-            console.log('  GET  /api/lists');
-            console.log('  GET  /api/search?q=termo');
-            console.log('  GET  /api/dashboard');
+            console.log(`Rotas disponíveis (${this.routeTable.configFile}):`);
+            this.routeTable.routes.forEach(route => {
+                const access = route.roles.length > 0 ? ` (papéis: ${route.roles.join(', ')})` : route.auth ? ' (autenticada)' : '';
+                console.log(`  ${route.methods.join(',')} ${route.prefix} -> ${route.service}${route.rewrite}${access}`);
+            });
+            console.log('  GET /api/search?q=termo');
+            console.log('  GET /api/dashboard');
             console.log('=====================================');
+            this.startRevocationSync();
         });
     }
 }
 
 if (require.main === module) {
+    requireSecrets('API Gateway', 'JWT_SECRET', 'GATEWAY_IDENTITY_SECRET');
     const gateway = new APIGateway();
     gateway.start();
 
@@ -0,0 +1,244 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+
+const InstanceStore = require('../shared/registry/InstanceStore');
+
+class RegistryService {
+    constructor() {
+        this.app = express();
+        this.port = process.env.PORT || 3004;
+        this.serviceName = 'registry-service';
+        this.store = new InstanceStore();
+        this.sweepInterval = parseInt(process.env.REGISTRY_SWEEP_INTERVAL || '5000');
+        this.subscribers = new Set();
+
+        this.setupMiddleware();
+        this.setupRoutes();
+        this.setupErrorHandling();
+    }
+
+    setupMiddleware() {
+        this.app.use(helmet());
+        this.app.use(cors());
+        this.app.use(morgan('combined'));
+        this.app.use(express.json());
+
+        this.app.use((req, res, next) => {
+            res.setHeader('X-Service', this.serviceName);
+            res.setHeader('X-Service-Version', '1.0.0');
+            next();
+        });
+    }
+
+    setupRoutes() {
+        this.app.get('/health', (req, res) => {
+            const services = this.store.snapshot();
+            res.json({
+                service: this.serviceName,
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                registry: {
+                    services: Object.keys(services).length,
+                    instances: Object.values(services).flat().length,
+                    subscribers: this.subscribers.size,
+                    leaseTtl: this.store.leaseTtl,
+                    evictionDelay: this.store.evictionDelay
+                }
+            });
+        });
+
+        this.app.get('/', (req, res) => {
+            res.json({
+                service: 'Registry Service',
+                version: '1.0.0',
+                description: 'Service Registry com múltiplas instâncias por serviço',
+                endpoints: [
+                    'GET /services',
+                    'GET /services/:name',
+                    'GET /events',
+                    'POST /services/:name/instances',
+                    'PUT /services/:name/instances/:id/heartbeat',
+                    'PUT /services/:name/instances/:id/health',
+                    'DELETE /services/:name/instances/:id'
+                ]
+            });
+        });
+
+        this.app.get('/events', this.streamEvents.bind(this));
+        this.app.get('/services', this.listServices.bind(this));
+        this.app.get('/services/:name', this.getService.bind(this));
+        this.app.post('/services/:name/instances', this.registerInstance.bind(this));
+        this.app.put('/services/:name/instances/:id/heartbeat', this.heartbeat.bind(this));
+        this.app.put('/services/:name/instances/:id/health', this.setHealth.bind(this));
+        this.app.delete('/services/:name/instances/:id', this.unregisterInstance.bind(this));
+    }
+
+    setupErrorHandling() {
+        this.app.use('*', (req, res) => {
+            res.status(404).json({
+                success: false,
+                message: 'Endpoint não encontrado',
+                service: this.serviceName
+            });
+        });
+
+        this.app.use((error, req, res, next) => {
+            console.error('Registry Service Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do serviço',
+                service: this.serviceName
+            });
+        });
+    }
+
+    listServices(req, res) {
+        res.json({
+            success: true,
+            data: this.store.snapshot()
+        });
+    }
+
+    streamEvents(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(`event: snapshot\ndata: ${JSON.stringify(this.store.snapshot())}\n\n`);
+
+        const onChange = event => res.write(`event: change\ndata: ${JSON.stringify(event)}\n\n`);
+        const keepAlive = setInterval(() => res.write(': ping\n\n'), 15000);
+        this.store.on('change', onChange);
+        this.subscribers.add(res);
+        console.log(`Assinante conectado ao stream de eventos (${this.subscribers.size} ativos)`);
+
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            this.store.off('change', onChange);
+            this.subscribers.delete(res);
+            console.log(`Assinante desconectado do stream de eventos (${this.subscribers.size} ativos)`);
+        });
+    }
+
+    getService(req, res) {
+        const instances = this.store.instances(req.params.name);
+        if (instances.length === 0) {
+            return this.sendInstanceNotFound(res, `Serviço ${req.params.name} não registrado`);
+        }
+
+        res.json({
+            success: true,
+            data: instances
+        });
+    }
+
+    registerInstance(req, res) {
+        const { url } = req.body;
+        if (!url) {
+            return res.status(400).json({
+                success: false,
+                message: 'Campo "url" é obrigatório'
+            });
+        }
+
+        const instance = this.store.register(req.params.name, req.body);
+        console.log(`Instância registrada: ${req.params.name} [${instance.id}] - ${instance.url} (PID: ${instance.pid})`);
+
+        res.status(201).json({
+            success: true,
+            data: instance
+        });
+    }
+
+    heartbeat(req, res) {
+        const { name, id } = req.params;
+        const instance = this.store.heartbeat(name, id, req.body.healthy !== false);
+        if (!instance) {
+            return this.sendInstanceNotFound(res, `Instância ${id} de ${name} não registrada`);
+        }
+
+        res.json({
+            success: true,
+            data: instance
+        });
+    }
+
+    setHealth(req, res) {
+        const { name, id } = req.params;
+        if (typeof req.body.healthy !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'Campo "healthy" deve ser booleano'
+            });
+        }
+
+        const instance = this.store.setHealth(name, id, req.body.healthy);
+        if (!instance) {
+            return this.sendInstanceNotFound(res, `Instância ${id} de ${name} não registrada`);
+        }
+
+        res.json({
+            success: true,
+            data: instance
+        });
+    }
+
+    unregisterInstance(req, res) {
+        const { name, id } = req.params;
+        const instance = this.store.get(name, id);
+        if (!instance || !this.store.unregister(name, id)) {
+            return this.sendInstanceNotFound(res, `Instância ${id} de ${name} não registrada`);
+        }
+
+        console.log(`Instância removida: ${name} [${id}]`);
+        res.json({
+            success: true,
+            data: instance
+        });
+    }
+
+    sweepLeases() {
+        const { expired, evicted } = this.store.expireLeases();
+        expired.forEach(instance => {
+            console.warn(`Lease expirado: ${instance.service} [${instance.id}] sem heartbeat desde ${new Date(instance.lastHeartbeat).toISOString()}`);
+        });
+        evicted.forEach(instance => console.warn(`Instância removida por lease expirado: ${instance.service} [${instance.id}]`));
+        this.store.removeDeadProcesses().forEach(instance => {
+            console.warn(`Instância removida: ${instance.service} [${instance.id}] (PID ${instance.pid} encerrado)`);
+        });
+    }
+
+    sendInstanceNotFound(res, message) {
+        return res.status(404).json({
+            success: false,
+            message
+        });
+    }
+
+    start() {
+        this.app.listen(this.port, () => {
+            console.log('=====================================');
+            console.log(`Registry Service iniciado na porta ${this.port}`);
+            console.log(`URL: http://localhost:${this.port}`);
+            console.log(`Serviços: http://localhost:${this.port}/services`);
+            console.log(`Lease: ${this.store.leaseTtl}ms (remoção ${this.store.evictionDelay}ms após expirar)`);
+            console.log('=====================================');
+
+            setInterval(() => this.sweepLeases(), this.sweepInterval);
+        });
+    }
+}
+
+if (require.main === module) {
+    const registryService = new RegistryService();
+    registryService.start();
+
+    process.on('SIGTERM', () => process.exit(0));
+    process.on('SIGINT', () => process.exit(0));
+}
+
+module.exports = RegistryService;
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+const { createAdapter } = require('../shared/storage');
+const InstanceStore = require('../shared/registry/InstanceStore');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const rootDir = process.env.BACKUP_ROOT_DIR || path.join(__dirname, '..');
+const registryFile = path.join(rootDir, 'shared', 'services-registry.json');
+const backupDir = process.env.BACKUP_DIR || path.join(rootDir, 'backups');
+const archiveSuffix = '.json.gz';
+
+const usage = [
+    'Uso: node scripts/backup.js create [serviço...]',
+    '     node scripts/backup.js list',
+    '     node scripts/backup.js verify <snapshot>',
+    '     node scripts/backup.js restore <snapshot> [serviço...] [--force] [--no-safety]'
+].join('\n');
+
+function readRegistry() {
+    try {
+        return JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+async function discoverServices() {
+    const registered = Object.keys(readRegistry());
+    const servicesDir = path.join(rootDir, 'services');
+    const local = (await fs.readdir(servicesDir)).filter(name => fs.existsSync(path.join(servicesDir, name, 'database')));
+    return [...new Set([...registered, ...local])].sort();
+}
+
+function databasePath(service) {
+    return path.join(rootDir, 'services', service, 'database');
+}
+
+function checksum(documents) {
+    return crypto.createHash('sha256').update(JSON.stringify(documents)).digest('hex');
+}
+
+function openDatabase(service, collection) {
+    return new JsonDatabase(databasePath(service), collection, { cache: false, compactInterval: 0 });
+}
+
+function openAdapter(service, collection) {
+    return createAdapter(process.env.JSON_DB_ADAPTER, { dbPath: databasePath(service), collectionName: collection, readonly: true });
+}
+
+async function readService(service, collections, maxAttempts = 5) {
+    const adapters = collections.map(collection => openAdapter(service, collection));
+    try {
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const before = await Promise.all(adapters.map(adapter => adapter.getStamp()));
+            const documents = await Promise.all(adapters.map(adapter => adapter.load()));
+            const after = await Promise.all(adapters.map(adapter => adapter.getStamp()));
+            if (before.every((stamp, position) => stamp === after[position])) {
+                return { takenAt: new Date().toISOString(), documents };
+            }
+        }
+        throw new Error(`Banco de ${service} alterado continuamente; snapshot não obtido após ${maxAttempts} tentativas`);
+    } finally {
+        await Promise.all(adapters.map(adapter => adapter.close()));
+    }
+}
+
+function resolveArchive(snapshot) {
+    const name = path.basename(snapshot).replace(archiveSuffix, '');
+    const archivePath = path.join(backupDir, `${name}${archiveSuffix}`);
+    if (!fs.existsSync(archivePath)) {
+        throw new Error(`Snapshot não encontrado: ${name} (${backupDir})`);
+    }
+    return archivePath;
+}
+
+async function readArchive(archivePath) {
+    try {
+        return JSON.parse((await gunzip(await fs.readFile(archivePath))).toString('utf8'));
+    } catch (error) {
+        throw new Error(`Snapshot ilegível (${path.basename(archivePath)}): ${error.message}`);
+    }
+}
+
+async function createSnapshot(services, label) {
+    const createdAt = new Date().toISOString();
+    const archive = { format: 1, createdAt, adapter: process.env.JSON_DB_ADAPTER || 'json', label: label || null, services: {} };
+
+    for (const service of services) {
+        const dbPath = databasePath(service);
+        if (!fs.existsSync(dbPath)) {
+            console.warn(`Serviço ${service} sem diretório de banco (${dbPath}); ignorado`);
+            continue;
+        }
+
+        const collections = await JsonDatabase.listCollections(dbPath);
+        const { takenAt, documents } = await readService(service, collections);
+        archive.services[service] = { collections: {} };
+        collections.forEach((collection, position) => {
+            archive.services[service].collections[collection] = {
+                takenAt,
+                count: documents[position].length,
+                checksum: checksum(documents[position]),
+                documents: documents[position]
+            };
+        });
+    }
+
+    await fs.ensureDir(backupDir);
+    const name = `snapshot-${createdAt.replace(/[:.]/g, '-')}${label ? `-${label}` : ''}`;
+    const archivePath = path.join(backupDir, `${name}${archiveSuffix}`);
+    const tempPath = `${archivePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, await gzip(JSON.stringify(archive)));
+    await fs.rename(tempPath, archivePath);
+    return { name, archivePath, archive };
+}
+
+function summarize(archive) {
+    return Object.entries(archive.services).map(([service, { collections }]) => {
+        const details = Object.entries(collections).map(([collection, { count }]) => `${collection}: ${count}`);
+        return `${service} (${details.join(', ') || 'sem coleções'})`;
+    }).join('; ');
+}
+
+function verifyArchive(archive) {
+    const problems = [];
+    if (archive.format !== 1 || !archive.services) {
+        problems.push('formato de snapshot desconhecido');
+        return problems;
+    }
+
+    for (const [service, { collections }] of Object.entries(archive.services)) {
+        for (const [collection, entry] of Object.entries(collections)) {
+            const label = `${service}/${collection}`;
+            if (!Array.isArray(entry.documents)) {
+                problems.push(`${label}: documentos ausentes`);
+                continue;
+            }
+            if (entry.documents.length !== entry.count) {
+                problems.push(`${label}: esperados ${entry.count} documentos, encontrados ${entry.documents.length}`);
+            }
+            if (checksum(entry.documents) !== entry.checksum) {
+                problems.push(`${label}: checksum não confere`);
+            }
+            const ids = entry.documents.map(doc => doc && doc.id);
+            if (ids.some(id => !id)) {
+                problems.push(`${label}: documento sem id`);
+            }
+            if (new Set(ids).size !== ids.length) {
+                problems.push(`${label}: ids duplicados`);
+            }
+        }
+    }
+    return problems;
+}
+
+function runningServices(services) {
+    const registry = new InstanceStore(readRegistry());
+    return services.filter(service => registry.instances(service).some(({ pid }) => {
+        if (!pid) return false;
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }));
+}
+
+async function create(services) {
+    const targets = services.length > 0 ? services : await discoverServices();
+    const { name, archive } = await createSnapshot(targets);
+    console.log(`Snapshot criado: ${name}`);
+    console.log(summarize(archive));
+}
+
+async function list() {
+    const files = (await fs.readdir(backupDir).catch(() => [])).filter(file => file.endsWith(archiveSuffix)).sort();
+    if (files.length === 0) {
+        console.log(`Nenhum snapshot em ${backupDir}`);
+        return;
+    }
+    for (const file of files) {
+        const archivePath = path.join(backupDir, file);
+        const { size } = await fs.stat(archivePath);
+        try {
+            const archive = await readArchive(archivePath);
+            console.log(`${file.replace(archiveSuffix, '')}  ${archive.createdAt}  ${(size / 1024).toFixed(1)} KB  ${summarize(archive)}`);
+        } catch (error) {
+            console.log(`${file.replace(archiveSuffix, '')}  ilegível: ${error.message}`);
+        }
+    }
+}
+
+async function verify(snapshot) {
+    const archive = await readArchive(resolveArchive(snapshot));
+    const problems = verifyArchive(archive);
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`- ${problem}`));
+        throw new Error(`Snapshot inválido (${problems.length} problemas)`);
+    }
+    console.log(`Snapshot íntegro: ${summarize(archive)}`);
+}
+
+async function restore(snapshot, services, options) {
+    const archive = await readArchive(resolveArchive(snapshot));
+    const problems = verifyArchive(archive);
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`- ${problem}`));
+        throw new Error('Snapshot inválido; restauração cancelada');
+    }
+
+    const targets = services.length > 0 ? services : Object.keys(archive.services);
+    const missing = targets.filter(service => !archive.services[service]);
+    if (missing.length > 0) {
+        throw new Error(`Serviços ausentes no snapshot: ${missing.join(', ')}`);
+    }
+
+    const running = runningServices(targets);
+    if (running.length > 0 && !options.force) {
+        throw new Error(`Pare os serviços antes de restaurar (em execução: ${running.join(', ')}) ou use --force`);
+    }
+
+    if (options.safety) {
+        const { name } = await createSnapshot(targets, 'pre-restore');
+        console.log(`Estado atual salvo em ${name}`);
+    }
+
+    for (const service of targets) {
+        for (const [collection, { documents }] of Object.entries(archive.services[service].collections)) {
+            const db = openDatabase(service, collection);
+            try {
+                const result = await db.replaceAll(documents);
+                console.log(`${service}/${collection}: ${documents.length} documentos (${result.insertedCount} recriados, ${result.modifiedCount} restaurados, ${result.deletedCount} removidos)`);
+            } finally {
+                await db.close();
+            }
+        }
+    }
+}
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const args = rest.filter(arg => !arg.startsWith('--'));
+    const flags = rest.filter(arg => arg.startsWith('--'));
+
+    switch (command) {
+        case 'create':
+            return create(args);
+        case 'list':
+            return list();
+        case 'verify':
+            if (!args[0]) break;
+            return verify(args[0]);
+        case 'restore':
+            if (!args[0]) break;
+            return restore(args[0], args.slice(1), {
+                force: flags.includes('--force'),
+                safety: !flags.includes('--no-safety')
+            });
+    }
+    console.error(usage);
+    process.exit(1);
+}
+
+main().catch(error => {
+    console.error(`Falha: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+
+const MigrationRunner = require('../shared/MigrationRunner');
+
+const usage = 'Uso: node scripts/migrate.js <serviço> [status|up|down] [--to <migração>] [--steps <n>] [--dry-run]';
+
+function option(args, name) {
+    const position = args.indexOf(name);
+    return position !== -1 ? args[position + 1] : undefined;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const [service, command = 'status'] = args;
+    const serviceDir = service && path.join(__dirname, '..', 'services', service);
+    if (!serviceDir || !fs.existsSync(serviceDir) || !['status', 'up', 'down'].includes(command)) {
+        console.error(usage);
+        process.exit(1);
+    }
+
+    const runner = new MigrationRunner({
+        serviceName: service,
+        dbPath: path.join(serviceDir, 'database'),
+        migrationsPath: path.join(serviceDir, 'migrations')
+    });
+
+    if (command === 'status') {
+        const migrations = await runner.status();
+        if (migrations.length === 0) console.log(`${service}: nenhuma migração definida`);
+        migrations.forEach(migration => {
+            const state = migration.applied ? `aplicada em ${migration.appliedAt}` : 'pendente';
+            console.log(`${migration.id.padEnd(32)} ${state}${migration.reversible ? '' : ' (irreversível)'}  ${migration.description || ''}`);
+        });
+        return;
+    }
+
+    const options = {
+        to: option(args, '--to'),
+        steps: option(args, '--steps') ? parseInt(option(args, '--steps')) : undefined,
+        dryRun: args.includes('--dry-run')
+    };
+    const result = command === 'up' ? await runner.migrate(options) : await runner.rollback(options);
+
+    if (result.migrations.length === 0) {
+        console.log(`${service}: nada a ${command === 'up' ? 'aplicar' : 'reverter'}`);
+    }
+    if (result.changes) {
+        Object.entries(result.changes).forEach(([collection, counts]) => {
+            console.log(`[simulação] ${collection}: ${counts.inserted} inseridos, ${counts.updated} alterados, ${counts.deleted} removidos`);
+        });
+    }
+}
+
+main().catch(error => {
+    console.error(`Falha nas migrações: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+
+const JsonDatabase = require('../shared/JsonDatabase');
+const { Journal } = require('../shared/Journal');
+
+const usage = 'Uso: node scripts/restore-collection.js <serviço> <coleção> <data ISO> [--dry-run]\n' +
+    '     node scripts/restore-collection.js <serviço> <coleção> --list';
+
+async function listTransactions(dbPath, collection) {
+    const journal = new Journal({ dbPath, collectionName: collection });
+    const { checkpoint, transactions } = await journal.read();
+    console.log(`Journal de ${collection} cobre alterações desde ${checkpoint}`);
+    transactions.forEach(entry => {
+        const ops = entry.changes.map(change => `${change.op} ${change.op === 'delete' ? change.id : change.document.id}`);
+        console.log(`${entry.at}  ${entry.status.padEnd(9)}  ${ops.join(', ')}`);
+    });
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const [service, collection, timestamp] = args.filter(arg => !arg.startsWith('--'));
+    if (!service || !collection || (!timestamp && !args.includes('--list'))) {
+        console.error(usage);
+        process.exit(1);
+    }
+
+    const dbPath = path.join(__dirname, '..', 'services', service, 'database');
+    if (!fs.existsSync(path.join(dbPath, `${collection}.journal.jsonl`))) {
+        console.error(`Journal não encontrado para ${service}/${collection} em ${dbPath}`);
+        process.exit(1);
+    }
+
+    if (args.includes('--list')) {
+        await listTransactions(dbPath, collection);
+        return;
+    }
+
+    const db = new JsonDatabase(dbPath, collection, { cache: false, compactInterval: 0 });
+    try {
+        const result = await db.restoreToTimestamp(timestamp, { dryRun: args.includes('--dry-run') });
+        console.log(`${result.dryRun ? 'Simulação: ' : ''}${service}/${collection} restaurada para ${result.timestamp}`);
+        console.log(`Transações revertidas: ${result.revertedTransactions}`);
+        console.log(`Documentos recriados: ${result.inserted}, restaurados: ${result.updated}, removidos: ${result.deleted}`);
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(error => {
+    console.error(`Falha na restauração: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,10 @@
+module.exports = {
+    description: 'Preenche updatedAt ausente em itens e categorias com a data de criação',
+
+    async up({ transform, log }) {
+        for (const collection of ['items', 'categories']) {
+            const result = await transform(collection, doc => doc.updatedAt ? doc : { ...doc, updatedAt: doc.createdAt });
+            log(`${collection}: ${result.modifiedCount} documentos atualizados`);
+        }
+    }
+};
@@ -0,0 +1,38 @@
+const itemSchema = {
+    type: 'object',
+    required: ['id', 'name', 'category', 'unit', 'averagePrice', 'active'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1, maxLength: 120 },
+        category: { type: 'string', minLength: 1, maxLength: 60 },
+        brand: { type: ['string', 'null'], maxLength: 80 },
+        unit: { type: 'string', enum: ['un', 'kg', 'g', 'litro', 'ml', 'pacote', 'caixa', 'duzia'] },
+        averagePrice: { type: 'number', minimum: 0 },
+        barcode: { type: ['string', 'null'], pattern: '^[0-9]{8,14}$' },
+        description: { type: ['string', 'null'], maxLength: 500 },
+        active: { type: 'boolean' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        _version: { type: 'integer', minimum: 1 }
+    }
+};
+
+const categorySchema = {
+    type: 'object',
+    required: ['id', 'name', 'slug'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1, maxLength: 60 },
+        slug: { type: 'string', pattern: '^[a-z0-9-]+$' },
+        description: { type: ['string', 'null'], maxLength: 200 },
+        productCount: { type: 'integer', minimum: 0 },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        _version: { type: 'integer', minimum: 1 }
+    }
+};
+
+module.exports = {
+    itemSchema,
+    categorySchema
+};
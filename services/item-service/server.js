@@ -4,10 +4,16 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
-const jwt = require('jsonwebtoken');
+const axios = require('axios');
 
 const JsonDatabase = require('../../shared/JsonDatabase');
+const etag = require('../../shared/etag');
+const identity = require('../../shared/identity');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const MigrationRunner = require('../../shared/MigrationRunner');
+const { requireSecrets } = require('../../shared/secrets');
+const { itemSchema, categorySchema } = require('./schemas');
+const packageInfo = require('./package.json');
 
 class ItemService {
     constructor() {
@@ -15,18 +21,34 @@ class ItemService {
         this.port = process.env.PORT || 3002;
         this.serviceName = 'item-service';
         this.serviceUrl = `http://localhost:${this.port}`;
+        this.version = process.env.SERVICE_VERSION || packageInfo.version;
+        this.tags = (process.env.SERVICE_TAGS || '').split(',').map(tag => tag.trim()).filter(Boolean);
+        this.popularity = null;
+        this.popularityTtl = parseInt(process.env.ITEM_POPULARITY_TTL || '60000');
 
         this.setupDatabase();
         this.setupMiddleware();
         this.setupRoutes();
         this.setupErrorHandling();
-        this.seedInitialData();
     }
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.itemsDb = new JsonDatabase(dbPath, 'items');
-        this.categoriesDb = new JsonDatabase(dbPath, 'categories');
+        this.itemsDb = new JsonDatabase(dbPath, 'items', {
+            indexes: ['barcode', 'category'],
+            schema: itemSchema,
+            textIndex: {
+                fields: ['name', 'brand', 'description', 'category'],
+                weights: { name: 3, brand: 2 },
+                completion: ['name']
+            }
+        });
+        this.categoriesDb = new JsonDatabase(dbPath, 'categories', { indexes: ['name', 'slug'], schema: categorySchema });
+        this.migrations = new MigrationRunner({
+            serviceName: this.serviceName,
+            dbPath,
+            migrationsPath: path.join(__dirname, 'migrations')
+        });
         console.log('Item Service: Banco NoSQL inicializado');
     }
 
@@ -46,9 +68,7 @@ class ItemService {
                         { id: uuidv4(), name: 'Padaria', slug: 'padaria', description: 'Produtos de padaria', productCount: 0 }
                     ];
 
-                    for (const category of categories) {
-                        await this.categoriesDb.create(category);
-                    }
+                    await this.categoriesDb.insertMany(categories);
 
                     const items = [
                         { id: uuidv4(), name: 'Arroz', category: 'Alimentos', brand: 'Tio João', unit: 'kg', averagePrice: 5.99, barcode: '1234567890123', description: 'Arroz branco tipo 1', active: true, createdAt: new Date().toISOString() },
@@ -82,9 +102,7 @@ class ItemService {
                         { id: uuidv4(), name: 'Torta', category: 'Padaria', brand: 'Padaria', unit: 'kg', averagePrice: 24.99, barcode: '1234567890147', description: 'Torta de frango', active: true, createdAt: new Date().toISOString() }
                     ];
 
-                    for (const item of items) {
-                        await this.itemsDb.create(item);
-                    }
+                    await this.itemsDb.insertMany(items);
 
                     console.log('Dados iniciais criados com sucesso!');
                 }
@@ -103,7 +121,7 @@ class ItemService {
 
         this.app.use((req, res, next) => {
             res.setHeader('X-Service', this.serviceName);
-            res.setHeader('X-Service-Version', '1.0.0');
+            res.setHeader('X-Service-Version', this.version);
             res.setHeader('X-Database', 'JSON-NoSQL');
             next();
         });
@@ -119,18 +137,28 @@ class ItemService {
                     status: 'healthy',
                     timestamp: new Date().toISOString(),
                     uptime: process.uptime(),
-                    version: '1.0.0',
+                    version: this.version,
                     database: {
+                        status: 'up',
                         type: 'JSON-NoSQL',
+                        storage: this.itemsDb.adapter.type,
                         itemCount: itemCount,
-                        categoryCount: categoryCount
+                        categoryCount: categoryCount,
+                        cache: {
+                            items: this.itemsDb.getCacheStats(),
+                            categories: this.categoriesDb.getCacheStats()
+                        }
                     }
                 });
             } catch (error) {
                 res.status(503).json({
                     service: this.serviceName,
                     status: 'unhealthy',
-                    error: error.message
+                    error: error.message,
+                    database: {
+                        status: 'down',
+                        error: error.message
+                    }
                 });
             }
         });
@@ -138,11 +166,12 @@ class ItemService {
         this.app.get('/', (req, res) => {
             res.json({
                 service: 'Item Service',
-                version: '1.0.0',
+                version: this.version,
                 description: 'Microsserviço para gerenciamento de itens com NoSQL',
                 database: 'JSON-NoSQL',
                 endpoints: [
                     'GET /items',
+                    'GET /items/suggest',
                     'GET /items/:id',
                     'POST /items',
                     'PUT /items/:id',
@@ -152,12 +181,13 @@ class ItemService {
             });
         });
 
-        this.app.use(this.authMiddleware.bind(this));
+        this.app.use(identity.authenticate);
 
         this.app.get('/items', this.getItems.bind(this));
+        this.app.get('/items/suggest', this.suggestItems.bind(this));
         this.app.get('/items/:id', this.getItem.bind(this));
-        this.app.post('/items', this.createItem.bind(this));
-        this.app.put('/items/:id', this.updateItem.bind(this));
+        this.app.post('/items', identity.requireRole('admin'), this.createItem.bind(this));
+        this.app.put('/items/:id', identity.requireRole('admin'), this.updateItem.bind(this));
 
         this.app.get('/categories', this.getCategories.bind(this));
 
@@ -185,17 +215,36 @@ class ItemService {
 
     async getItems(req, res) {
         try {
-            const { category, name, page = 1, limit = 10 } = req.query;
+            const { category, name, fields, cursor, page = 1, limit = 10 } = req.query;
             const skip = (page - 1) * parseInt(limit);
 
             const filter = { active: true };
             if (category) filter.category = category;
             if (name) filter.name = { $regex: name, $options: 'i' };
 
+            if (cursor !== undefined) {
+                const result = await this.itemsDb.findPage(filter, {
+                    after: cursor || undefined,
+                    limit: parseInt(limit),
+                    sort: { name: 1 },
+                    projection: fields
+                });
+                return res.json({
+                    success: true,
+                    data: result.documents,
+                    pagination: {
+                        limit: parseInt(limit),
+                        nextCursor: result.nextCursor,
+                        hasMore: result.hasMore
+                    }
+                });
+            }
+
             const items = await this.itemsDb.find(filter, {
                 skip: skip,
                 limit: parseInt(limit),
-                sort: { name: 1 }
+                sort: { name: 1 },
+                projection: fields
             });
 
             const total = await this.itemsDb.count(filter);
@@ -211,6 +260,7 @@ class ItemService {
                 }
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.CursorError) return this.sendInvalidCursor(res, error);
             console.error('Erro ao buscar itens:', error);
             res.status(500).json({
                 success: false,
@@ -219,30 +269,6 @@ class ItemService {
         }
     }
 
-    authMiddleware(req, res, next) {
-        const authHeader = req.header('Authorization');
-
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                message: 'Token obrigatório'
-            });
-        }
-
-        const token = authHeader.replace('Bearer ', '');
-
-        try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'user-secret');
-            req.user = decoded;
-            next();
-        } catch (error) {
-            res.status(401).json({
-                success: false,
-                message: 'Token inválido'
-            });
-        }
-    }
-
     async getItem(req, res) {
         try {
             const { id } = req.params;
@@ -255,6 +281,7 @@ class ItemService {
                 });
             }
 
+            res.setHeader('ETag', etag.formatETag(item));
             res.json({
                 success: true,
                 data: item
@@ -304,12 +331,16 @@ class ItemService {
                 createdAt: new Date().toISOString()
             });
 
+            res.setHeader('ETag', etag.formatETag(newItem));
             res.status(201).json({
                 success: true,
                 message: 'Item criado com sucesso',
                 data: newItem
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.ValidationError) {
+                return this.sendValidationError(res, error);
+            }
             console.error('Erro ao criar item:', error);
             res.status(500).json({
                 success: false,
@@ -331,6 +362,11 @@ class ItemService {
                 });
             }
 
+            if (!etag.ifMatchSatisfied(req.header('If-Match'), item)) {
+                return this.sendPreconditionFailed(res, item);
+            }
+            const expectedVersion = etag.expectedVersion(req.header('If-Match'), item);
+
             if (name && name !== item.name) {
                 const existingItem = await this.itemsDb.findOne({
                     name: { $regex: `^${name}$`, $options: 'i' },
@@ -355,14 +391,27 @@ class ItemService {
             if (description !== undefined) updates.description = description;
             if (active !== undefined) updates.active = active;
 
-            const updatedItem = await this.itemsDb.update(id, updates);
+            const updatedItem = await this.itemsDb.update(id, updates, { expectedVersion });
+            if (!updatedItem) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Item não encontrado'
+                });
+            }
 
+            res.setHeader('ETag', etag.formatETag(updatedItem));
             res.json({
                 success: true,
                 message: 'Item atualizado com sucesso',
                 data: updatedItem
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.VersionConflictError) {
+                return this.sendPreconditionFailed(res);
+            }
+            if (error instanceof JsonDatabase.ValidationError) {
+                return this.sendValidationError(res, error);
+            }
             console.error('Erro ao atualizar item:', error);
             res.status(500).json({
                 success: false,
@@ -374,16 +423,17 @@ class ItemService {
     async getCategories(req, res) {
         try {
             const categories = await this.categoriesDb.find({}, { sort: { name: 1 } });
-
-            for (const category of categories) {
-                const itemCount = await this.itemsDb.count({
-                    category: category.name,
-                    active: true
-                });
-                category.productCount = itemCount;
-
-                await this.categoriesDb.update(category.id, { productCount: itemCount });
-            }
+            const counts = await this.itemsDb.aggregate([
+                { $match: { active: true } },
+                { $group: { _id: '$category', productCount: { $sum: 1 }, averagePrice: { $avg: '$averagePrice' } } }
+            ]);
+            const countsByCategory = new Map(counts.map(count => [count._id, count]));
+
+            categories.forEach(category => {
+                const stats = countsByCategory.get(category.name);
+                category.productCount = stats ? stats.productCount : 0;
+                category.averagePrice = stats ? Math.round(stats.averagePrice * 100) / 100 : null;
+            });
 
             res.json({
                 success: true,
@@ -400,7 +450,7 @@ class ItemService {
 
     async searchItems(req, res) {
         try {
-            const { q, limit = 10 } = req.query;
+            const { q, fields, cursor, fuzzy, limit = 10 } = req.query;
 
             if (!q) {
                 return res.status(400).json({
@@ -409,21 +459,26 @@ class ItemService {
                 });
             }
 
-            const items = await this.itemsDb.search(q, ['name']);
-
-            const activeItems = items
-                .filter(item => item.active)
-                .slice(0, parseInt(limit));
+            const result = await this.itemsDb.textSearch(q, {
+                filter: { active: true },
+                fuzzy: fuzzy !== 'false',
+                after: cursor || undefined,
+                limit: parseInt(limit),
+                projection: fields
+            });
 
             res.json({
                 success: true,
                 data: {
                     query: q,
-                    results: activeItems,
-                    total: activeItems.length
+                    results: result.hits.map(hit => ({ ...hit.document, score: hit.score, highlights: hit.highlights })),
+                    total: result.total,
+                    nextCursor: result.nextCursor,
+                    hasMore: result.hasMore
                 }
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.CursorError) return this.sendInvalidCursor(res, error);
             console.error('Erro na busca de itens:', error);
             res.status(500).json({
                 success: false,
@@ -432,21 +487,118 @@ class ItemService {
         }
     }
 
+    async suggestItems(req, res) {
+        try {
+            const { prefix, limit = 5 } = req.query;
+
+            if (!prefix) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Parâmetro "prefix" é obrigatório'
+                });
+            }
+
+            const [items, popularity] = await Promise.all([
+                this.itemsDb.complete(prefix, { filter: { active: true } }),
+                this.getPopularity()
+            ]);
+
+            const suggestions = items
+                .map(item => ({
+                    id: item.id,
+                    name: item.name,
+                    category: item.category,
+                    brand: item.brand || null,
+                    popularity: popularity[item.id] || 0
+                }))
+                .sort((a, b) => b.popularity - a.popularity || a.name.localeCompare(b.name, 'pt-BR'))
+                .slice(0, parseInt(limit));
+
+            res.json({
+                success: true,
+                data: {
+                    prefix,
+                    suggestions
+                }
+            });
+        } catch (error) {
+            console.error('Erro ao sugerir itens:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    async getPopularity() {
+        if (this.popularity && Date.now() - this.popularity.fetchedAt < this.popularityTtl) {
+            return this.popularity.counts;
+        }
+
+        try {
+            const listService = await serviceRegistry.discover('list-service', { version: '^1' });
+            const response = await axios.get(`${listService.url}/items/popularity`, {
+                headers: identity.signIdentity({ id: this.serviceName, username: this.serviceName, role: 'service' }),
+                timeout: 2000
+            });
+            this.popularity = { counts: response.data.data, fetchedAt: Date.now() };
+        } catch (error) {
+            console.error('Popularidade dos itens indisponível:', error.message);
+            this.popularity = { counts: this.popularity ? this.popularity.counts : {}, fetchedAt: Date.now() };
+        }
+        return this.popularity.counts;
+    }
+
+    sendPreconditionFailed(res, item) {
+        if (item) res.setHeader('ETag', etag.formatETag(item));
+        return res.status(412).json({
+            success: false,
+            message: 'O item foi modificado por outra requisição; recarregue e tente novamente'
+        });
+    }
+
+    sendValidationError(res, error) {
+        return res.status(400).json({
+            success: false,
+            message: 'Dados do item inválidos',
+            errors: error.errors
+        });
+    }
+
+    sendInvalidCursor(res, error) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
     registerWithRegistry() {
         serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
-            version: '1.0.0',
+            version: this.version,
+            tags: this.tags,
             database: 'JSON-NoSQL',
-            endpoints: ['/health', '/items', '/items/:id', '/categories', '/search']
-        });
+            weight: parseInt(process.env.INSTANCE_WEIGHT || '1'),
+            endpoints: ['/health', '/items', '/items/suggest', '/items/:id', '/categories', '/search']
+        }).catch(error => console.error('Erro ao registrar serviço:', error.message));
     }
+
     startHealthReporting() {
         setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
+            serviceRegistry.updateHealth(this.serviceName, true)
+                .catch(error => console.error('Erro ao reportar saúde:', error.message));
         }, 30000);
     }
 
-    start() {
+    async start() {
+        try {
+            await this.migrations.migrate();
+        } catch (error) {
+            console.error('Erro ao executar migrações; Item Service não será iniciado:', error);
+            process.exit(1);
+        }
+        this.seedInitialData();
+
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`Item Service iniciado na porta ${this.port}`);
@@ -462,16 +614,15 @@ class ItemService {
 }
 
 if (require.main === module) {
+    requireSecrets('Item Service', 'GATEWAY_IDENTITY_SECRET');
     const itemService = new ItemService();
     itemService.start();
 
     process.on('SIGTERM', () => {
-        serviceRegistry.unregister('item-service');
-        process.exit(0);
+        serviceRegistry.shutdown().finally(() => process.exit(0));
     });
     process.on('SIGINT', () => {
-        serviceRegistry.unregister('item-service');
-        process.exit(0);
+        serviceRegistry.shutdown().finally(() => process.exit(0));
     });
 }
 
@@ -0,0 +1,12 @@
+module.exports = {
+    description: 'Adiciona o orçamento (budget) às listas existentes',
+
+    async up({ transform, log }) {
+        const result = await transform('lists', list => list.budget === undefined ? { ...list, budget: null } : list);
+        log(`lists: ${result.modifiedCount} listas atualizadas`);
+    },
+
+    async down({ transform }) {
+        await transform('lists', ({ budget, ...list }) => list);
+    }
+};
@@ -0,0 +1,46 @@
+const listItemSchema = {
+    type: 'object',
+    required: ['itemId', 'itemName', 'quantity', 'purchased'],
+    properties: {
+        itemId: { type: 'string', minLength: 1 },
+        itemName: { type: 'string', minLength: 1 },
+        quantity: { type: 'number', exclusiveMinimum: 0, maximum: 10000 },
+        unit: { type: ['string', 'null'] },
+        estimatedPrice: { type: ['number', 'null'], minimum: 0 },
+        purchased: { type: 'boolean' },
+        notes: { type: ['string', 'null'], maxLength: 500 },
+        addedAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' }
+    }
+};
+
+const listSchema = {
+    type: 'object',
+    required: ['id', 'userId', 'name', 'status', 'items', 'summary'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        userId: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        description: { type: ['string', 'null'], maxLength: 500 },
+        budget: { type: ['number', 'null'], minimum: 0 },
+        status: { type: 'string', enum: ['active', 'completed', 'archived'] },
+        items: { type: 'array', items: listItemSchema },
+        summary: {
+            type: 'object',
+            required: ['totalItems', 'purchasedItems', 'estimatedTotal'],
+            properties: {
+                totalItems: { type: 'number', minimum: 0 },
+                purchasedItems: { type: 'number', minimum: 0 },
+                estimatedTotal: { type: 'number', minimum: 0 }
+            }
+        },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        deletedAt: { type: ['string', 'null'], format: 'date-time' },
+        _version: { type: 'integer', minimum: 1 }
+    }
+};
+
+module.exports = {
+    listSchema
+};
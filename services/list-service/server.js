@@ -5,10 +5,15 @@ const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const axios = require('axios');
-const jwt = require('jsonwebtoken');
 
 const JsonDatabase = require('../../shared/JsonDatabase');
+const etag = require('../../shared/etag');
+const identity = require('../../shared/identity');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const MigrationRunner = require('../../shared/MigrationRunner');
+const { requireSecrets } = require('../../shared/secrets');
+const { listSchema } = require('./schemas');
+const packageInfo = require('./package.json');
 
 class ListService {
     constructor() {
@@ -16,6 +21,8 @@ class ListService {
         this.port = process.env.PORT || 3003;
         this.serviceName = 'list-service';
         this.serviceUrl = `http://localhost:${this.port}`;
+        this.version = process.env.SERVICE_VERSION || packageInfo.version;
+        this.tags = (process.env.SERVICE_TAGS || '').split(',').map(tag => tag.trim()).filter(Boolean);
 
         this.setupDatabase();
         this.setupMiddleware();
@@ -25,7 +32,18 @@ class ListService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.listsDb = new JsonDatabase(dbPath, 'lists');
+        this.trashRetention = parseInt(process.env.LIST_TRASH_RETENTION_DAYS || '30') * 24 * 60 * 60 * 1000;
+        this.listsDb = new JsonDatabase(dbPath, 'lists', {
+            indexes: ['userId'],
+            schema: listSchema,
+            softDelete: true,
+            ttl: { field: 'deletedAt', expireAfter: this.trashRetention }
+        });
+        this.migrations = new MigrationRunner({
+            serviceName: this.serviceName,
+            dbPath,
+            migrationsPath: path.join(__dirname, 'migrations')
+        });
         console.log('List Service: Banco NoSQL inicializado');
     }
 
@@ -38,7 +56,7 @@ class ListService {
 
         this.app.use((req, res, next) => {
             res.setHeader('X-Service', this.serviceName);
-            res.setHeader('X-Service-Version', '1.0.0');
+            res.setHeader('X-Service-Version', this.version);
             res.setHeader('X-Database', 'JSON-NoSQL');
             next();
         });
@@ -48,22 +66,31 @@ class ListService {
         this.app.get('/health', async (req, res) => {
             try {
                 const listCount = await this.listsDb.count();
+                const trashCount = await this.listsDb.count({ deletedAt: { $ne: null } }, { includeDeleted: true });
                 res.json({
                     service: this.serviceName,
                     status: 'healthy',
                     timestamp: new Date().toISOString(),
                     uptime: process.uptime(),
-                    version: '1.0.0',
+                    version: this.version,
                     database: {
+                        status: 'up',
                         type: 'JSON-NoSQL',
-                        listCount: listCount
+                        storage: this.listsDb.adapter.type,
+                        listCount: listCount,
+                        trashCount: trashCount,
+                        cache: this.listsDb.getCacheStats()
                     }
                 });
             } catch (error) {
                 res.status(503).json({
                     service: this.serviceName,
                     status: 'unhealthy',
-                    error: error.message
+                    error: error.message,
+                    database: {
+                        status: 'down',
+                        error: error.message
+                    }
                 });
             }
         });
@@ -71,27 +98,36 @@ class ListService {
         this.app.get('/', (req, res) => {
             res.json({
                 service: 'List Service',
-                version: '1.0.0',
+                version: this.version,
                 description: 'Microsserviço para gerenciamento de listas de compras com NoSQL',
                 database: 'JSON-NoSQL',
                 endpoints: [
                     'POST /lists',
                     'GET /lists',
+                    'GET /lists/stats',
+                    'GET /lists/trash',
+                    'POST /lists/trash/:id/restore',
+                    'DELETE /lists/trash/:id',
                     'GET /lists/:id',
                     'PUT /lists/:id',
                     'DELETE /lists/:id',
                     'POST /lists/:id/items',
                     'PUT /lists/:id/items/:itemId',
                     'DELETE /lists/:id/items/:itemId',
-                    'GET /lists/:id/summary'
+                    'GET /lists/:id/summary',
+                    'GET /items/popularity'
                 ]
             });
         });
 
-        this.app.use(this.authMiddleware.bind(this));
+        this.app.use(identity.authenticate);
 
         this.app.post('/lists', this.createList.bind(this));
         this.app.get('/lists', this.getLists.bind(this));
+        this.app.get('/lists/stats', this.getListStats.bind(this));
+        this.app.get('/lists/trash', this.getTrash.bind(this));
+        this.app.post('/lists/trash/:id/restore', this.restoreList.bind(this));
+        this.app.delete('/lists/trash/:id', this.purgeList.bind(this));
         this.app.get('/lists/:id', this.getList.bind(this));
         this.app.put('/lists/:id', this.updateList.bind(this));
         this.app.delete('/lists/:id', this.deleteList.bind(this));
@@ -102,6 +138,8 @@ class ListService {
         this.app.delete('/lists/:id/items/:itemId', this.removeItemFromList.bind(this));
 
         this.app.get('/lists/:id/summary', this.getListSummary.bind(this));
+
+        this.app.get('/items/popularity', identity.requireRole('service'), this.getItemPopularity.bind(this));
     }
 
     setupErrorHandling() {
@@ -123,33 +161,9 @@ class ListService {
         });
     }
 
-    authMiddleware(req, res, next) {
-        const authHeader = req.header('Authorization');
-
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                message: 'Token obrigatório'
-            });
-        }
-
-        const token = authHeader.replace('Bearer ', '');
-
-        try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'user-secret');
-            req.user = decoded;
-            next();
-        } catch (error) {
-            res.status(401).json({
-                success: false,
-                message: 'Token inválido'
-            });
-        }
-    }
-
     async createList(req, res) {
         try {
-            const { name, description } = req.body;
+            const { name, description, budget } = req.body;
 
             if (!name) {
                 return res.status(400).json({
@@ -163,6 +177,7 @@ class ListService {
                 userId: req.user.id,
                 name,
                 description: description || null,
+                budget: budget !== undefined && budget !== null ? parseFloat(budget) : null,
                 status: 'active',
                 items: [],
                 summary: {
@@ -174,12 +189,16 @@ class ListService {
                 updatedAt: new Date().toISOString()
             });
 
+            res.setHeader('ETag', etag.formatETag(newList));
             res.status(201).json({
                 success: true,
                 message: 'Lista criada com sucesso',
                 data: newList
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.ValidationError) {
+                return this.sendValidationError(res, error);
+            }
             console.error('Erro ao criar lista:', error);
             res.status(500).json({
                 success: false,
@@ -190,16 +209,37 @@ class ListService {
 
     async getLists(req, res) {
         try {
-            const { status, page = 1, limit = 10 } = req.query;
+            const { status, pending, fields, cursor, page = 1, limit = 10 } = req.query;
             const skip = (page - 1) * parseInt(limit);
 
             const filter = { userId: req.user.id };
             if (status) filter.status = status;
+            if (pending === 'true') filter.items = { $elemMatch: { purchased: { $ne: true } } };
+            if (pending === 'false') filter.items = { $not: { $elemMatch: { purchased: { $ne: true } } } };
+
+            if (cursor !== undefined) {
+                const result = await this.listsDb.findPage(filter, {
+                    after: cursor || undefined,
+                    limit: parseInt(limit),
+                    sort: { updatedAt: -1 },
+                    projection: fields
+                });
+                return res.json({
+                    success: true,
+                    data: result.documents,
+                    pagination: {
+                        limit: parseInt(limit),
+                        nextCursor: result.nextCursor,
+                        hasMore: result.hasMore
+                    }
+                });
+            }
 
             const lists = await this.listsDb.find(filter, {
                 skip: skip,
                 limit: parseInt(limit),
-                sort: { updatedAt: -1 }
+                sort: { updatedAt: -1 },
+                projection: fields
             });
 
             const total = await this.listsDb.count(filter);
@@ -215,6 +255,7 @@ class ListService {
                 }
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.CursorError) return this.sendInvalidCursor(res, error);
             console.error('Erro ao buscar listas:', error);
             res.status(500).json({
                 success: false,
@@ -223,6 +264,87 @@ class ListService {
         }
     }
 
+    async getItemPopularity(req, res) {
+        try {
+            const groups = await this.listsDb.aggregate([
+                { $unwind: '$items' },
+                { $group: { _id: '$items.itemId', lists: { $sum: 1 } } }
+            ]);
+
+            res.json({
+                success: true,
+                data: Object.fromEntries(groups.map(group => [group._id, group.lists]))
+            });
+        } catch (error) {
+            console.error('Erro ao calcular popularidade dos itens:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    async getListStats(req, res) {
+        try {
+            const userFilter = { $match: { userId: req.user.id } };
+
+            const [byStatus, byItem] = await Promise.all([
+                this.listsDb.aggregate([
+                    userFilter,
+                    {
+                        $group: {
+                            _id: '$status',
+                            lists: { $sum: 1 },
+                            totalItems: { $sum: '$summary.totalItems' },
+                            purchasedItems: { $sum: '$summary.purchasedItems' },
+                            estimatedTotal: { $sum: '$summary.estimatedTotal' }
+                        }
+                    },
+                    { $sort: { _id: 1 } }
+                ]),
+                this.listsDb.aggregate([
+                    userFilter,
+                    { $unwind: '$items' },
+                    {
+                        $group: {
+                            _id: '$items.itemId',
+                            itemName: { $first: '$items.itemName' },
+                            unit: { $first: '$items.unit' },
+                            lists: { $sum: 1 },
+                            quantity: { $sum: '$items.quantity' },
+                            estimatedSpend: { $sum: { $multiply: ['$items.quantity', '$items.estimatedPrice'] } }
+                        }
+                    },
+                    { $sort: { estimatedSpend: -1 } },
+                    { $limit: 5 },
+                    { $project: { _id: 0, itemId: '$_id', itemName: 1, unit: 1, lists: 1, quantity: 1, estimatedSpend: 1 } }
+                ])
+            ]);
+
+            const totals = byStatus.reduce((acc, group) => ({
+                lists: acc.lists + group.lists,
+                totalItems: acc.totalItems + group.totalItems,
+                purchasedItems: acc.purchasedItems + group.purchasedItems,
+                estimatedTotal: acc.estimatedTotal + group.estimatedTotal
+            }), { lists: 0, totalItems: 0, purchasedItems: 0, estimatedTotal: 0 });
+
+            res.json({
+                success: true,
+                data: {
+                    totals,
+                    byStatus: byStatus.map(({ _id, ...group }) => ({ status: _id, ...group })),
+                    topItems: byItem
+                }
+            });
+        } catch (error) {
+            console.error('Erro ao calcular estatísticas das listas:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
     async getList(req, res) {
         try {
             const { id } = req.params;
@@ -242,6 +364,7 @@ class ListService {
                 });
             }
 
+            res.setHeader('ETag', etag.formatETag(list));
             res.json({
                 success: true,
                 data: list
@@ -258,7 +381,7 @@ class ListService {
     async updateList(req, res) {
         try {
             const { id } = req.params;
-            const { name, description, status } = req.body;
+            const { name, description, status, budget } = req.body;
 
             const list = await this.listsDb.findById(id);
             if (!list) {
@@ -275,21 +398,35 @@ class ListService {
                 });
             }
 
+            if (!etag.ifMatchSatisfied(req.header('If-Match'), list)) {
+                return this.sendPreconditionFailed(res, list);
+            }
+            const expectedVersion = etag.expectedVersion(req.header('If-Match'), list);
+
             const updates = {
                 updatedAt: new Date().toISOString()
             };
             if (name) updates.name = name;
             if (description !== undefined) updates.description = description;
             if (status) updates.status = status;
+            if (budget !== undefined) updates.budget = budget !== null ? parseFloat(budget) : null;
 
-            const updatedList = await this.listsDb.update(id, updates);
+            const updatedList = await this.listsDb.update(id, updates, { expectedVersion });
+            if (!updatedList) return this.sendListNotFound(res);
 
+            res.setHeader('ETag', etag.formatETag(updatedList));
             res.json({
                 success: true,
                 message: 'Lista atualizada com sucesso',
                 data: updatedList
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.VersionConflictError) {
+                return this.sendPreconditionFailed(res);
+            }
+            if (error instanceof JsonDatabase.ValidationError) {
+                return this.sendValidationError(res, error);
+            }
             console.error('Erro ao atualizar lista:', error);
             res.status(500).json({
                 success: false,
@@ -317,13 +454,28 @@ class ListService {
                 });
             }
 
-            await this.listsDb.delete(id);
+            if (!etag.ifMatchSatisfied(req.header('If-Match'), list)) {
+                return this.sendPreconditionFailed(res, list);
+            }
+            const expectedVersion = etag.expectedVersion(req.header('If-Match'), list);
+
+            const deleted = await this.listsDb.delete(id, { expectedVersion });
+            const deletedList = deleted ? await this.listsDb.findById(id, { includeDeleted: true }) : null;
+            if (!deletedList) return this.sendListNotFound(res);
 
             res.json({
                 success: true,
-                message: 'Lista deletada com sucesso'
+                message: 'Lista movida para a lixeira',
+                data: {
+                    id,
+                    deletedAt: deletedList.deletedAt,
+                    expiresAt: this.trashExpiresAt(deletedList)
+                }
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.VersionConflictError) {
+                return this.sendPreconditionFailed(res);
+            }
             console.error('Erro ao deletar lista:', error);
             res.status(500).json({
                 success: false,
@@ -332,9 +484,101 @@ class ListService {
         }
     }
 
+    async getTrash(req, res) {
+        try {
+            const lists = await this.listsDb.find(
+                { userId: req.user.id, deletedAt: { $ne: null } },
+                { includeDeleted: true, sort: { deletedAt: -1 } }
+            );
+
+            res.json({
+                success: true,
+                data: lists.map(list => ({ ...list, expiresAt: this.trashExpiresAt(list) })),
+                retentionDays: this.trashRetention / (24 * 60 * 60 * 1000)
+            });
+        } catch (error) {
+            console.error('Erro ao buscar lixeira:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    async restoreList(req, res) {
+        try {
+            const { id } = req.params;
+
+            const list = await this.listsDb.findById(id, { includeDeleted: true });
+            if (!list || !list.deletedAt) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lista não encontrada na lixeira'
+                });
+            }
+
+            if (list.userId !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Acesso negado'
+                });
+            }
+
+            const restoredList = await this.listsDb.restore(id);
+            if (!restoredList) return this.sendListNotFound(res, 'Lista não encontrada na lixeira');
+
+            res.setHeader('ETag', etag.formatETag(restoredList));
+            res.json({
+                success: true,
+                message: 'Lista restaurada com sucesso',
+                data: restoredList
+            });
+        } catch (error) {
+            console.error('Erro ao restaurar lista:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    async purgeList(req, res) {
+        try {
+            const { id } = req.params;
+
+            const list = await this.listsDb.findById(id, { includeDeleted: true });
+            if (!list || !list.deletedAt) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lista não encontrada na lixeira'
+                });
+            }
+
+            if (list.userId !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Acesso negado'
+                });
+            }
+
+            await this.listsDb.purge({ id });
+
+            res.json({
+                success: true,
+                message: 'Lista excluída definitivamente'
+            });
+        } catch (error) {
+            console.error('Erro ao excluir lista definitivamente:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
     async searchLists(req, res) {
         try {
-            const { q, limit = 10 } = req.query;
+            const { q, fields, cursor, limit = 10 } = req.query;
             console.log('🔍 Buscando listas por:', q);
 
             if (!q) {
@@ -344,32 +588,39 @@ class ListService {
                 });
             }
 
-            const allLists = await this.listsDb.find({ userId: req.user.id });
-            console.log('📋 Total de listas do usuário:', allLists.length);
-
-            const searchTerm = q.toLowerCase();
-            const filteredLists = allLists.filter(list => {
-                const matchesName = list.name && list.name.toLowerCase().includes(searchTerm);
-                const matchesDesc = list.description && list.description.toLowerCase().includes(searchTerm);
-                const matchesItems = list.items && list.items.some(item =>
-                    item.itemName && item.itemName.toLowerCase().includes(searchTerm)
-                );
-
-                return matchesName || matchesDesc || matchesItems;
-            });
+            const searchPattern = { $regex: this.escapeRegex(q), $options: 'i' };
+            const filter = {
+                userId: req.user.id,
+                $or: [
+                    { name: searchPattern },
+                    { description: searchPattern },
+                    { items: { $elemMatch: { itemName: searchPattern } } }
+                ]
+            };
+            const [result, total] = await Promise.all([
+                this.listsDb.findPage(filter, {
+                    after: cursor || undefined,
+                    limit: parseInt(limit),
+                    sort: { updatedAt: -1 },
+                    projection: fields
+                }),
+                this.listsDb.count(filter)
+            ]);
 
-            console.log('✅ Listas encontradas:', filteredLists.length);
-            const limitedLists = filteredLists.slice(0, parseInt(limit));
+            console.log('✅ Listas encontradas:', total);
 
             res.json({
                 success: true,
                 data: {
                     query: q,
-                    results: limitedLists,
-                    total: filteredLists.length
+                    results: result.documents,
+                    total: total,
+                    nextCursor: result.nextCursor,
+                    hasMore: result.hasMore
                 }
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.CursorError) return this.sendInvalidCursor(res, error);
             console.error('Erro na busca de listas:', error);
             res.status(500).json({
                 success: false,
@@ -407,15 +658,10 @@ class ListService {
 
             let itemInfo;
             try {
-                const itemService = serviceRegistry.discover('item-service');
-
-                const authHeader = req.header('Authorization');
-                const token = authHeader.replace('Bearer ', '');
+                const itemService = await serviceRegistry.discover('item-service', { version: '^1' });
 
                 const response = await axios.get(`${itemService.url}/items/${itemId}`, {
-                    headers: {
-                        Authorization: `Bearer ${token}`
-                    }
+                    headers: identity.signIdentity(req.user)
                 });
 
                 itemInfo = response.data.data;
@@ -429,40 +675,44 @@ class ListService {
                 });
             }
 
-            const existingItemIndex = list.items.findIndex(item => item.itemId === itemId);
-
-            if (existingItemIndex !== -1) {
-                list.items[existingItemIndex].quantity += parseFloat(quantity);
-                list.items[existingItemIndex].updatedAt = new Date().toISOString();
-                if (notes) list.items[existingItemIndex].notes = notes;
-            } else {
-                list.items.push({
-                    itemId,
-                    itemName: itemInfo.name,
-                    quantity: parseFloat(quantity),
-                    unit: itemInfo.unit,
-                    estimatedPrice: itemInfo.averagePrice,
-                    purchased: false,
-                    notes: notes || null,
-                    addedAt: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                });
-            }
-
-            this.calculateListSummary(list);
+            const updatedList = await this.listsDb.update(id, current => {
+                const items = current.items.map(item => ({ ...item }));
+                const existingItemIndex = items.findIndex(item => item.itemId === itemId);
+
+                if (existingItemIndex !== -1) {
+                    items[existingItemIndex].quantity += parseFloat(quantity);
+                    items[existingItemIndex].updatedAt = new Date().toISOString();
+                    if (notes) items[existingItemIndex].notes = notes;
+                } else {
+                    items.push({
+                        itemId,
+                        itemName: itemInfo.name,
+                        quantity: parseFloat(quantity),
+                        unit: itemInfo.unit,
+                        estimatedPrice: itemInfo.averagePrice,
+                        purchased: false,
+                        notes: notes || null,
+                        addedAt: new Date().toISOString(),
+                        updatedAt: new Date().toISOString()
+                    });
+                }
 
-            const updatedList = await this.listsDb.update(id, {
-                items: list.items,
-                summary: list.summary,
-                updatedAt: new Date().toISOString()
+                const updated = { ...current, items };
+                this.calculateListSummary(updated);
+                return { items: updated.items, summary: updated.summary };
             });
+            if (!updatedList) return this.sendListNotFound(res);
 
+            res.setHeader('ETag', etag.formatETag(updatedList));
             res.status(201).json({
                 success: true,
                 message: 'Item adicionado à lista com sucesso',
                 data: updatedList
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.ValidationError) {
+                return this.sendValidationError(res, error);
+            }
             console.error('Erro ao adicionar item à lista:', error);
             res.status(500).json({
                 success: false,
@@ -491,33 +741,47 @@ class ListService {
                 });
             }
 
-            const itemIndex = list.items.findIndex(item => item.itemId === itemId);
-            if (itemIndex === -1) {
+            if (!etag.ifMatchSatisfied(req.header('If-Match'), list)) {
+                return this.sendPreconditionFailed(res, list);
+            }
+            const expectedVersion = etag.expectedVersion(req.header('If-Match'), list);
+
+            if (!list.items.some(item => item.itemId === itemId)) {
                 return res.status(404).json({
                     success: false,
                     message: 'Item não encontrado na lista'
                 });
             }
 
-            if (quantity !== undefined) list.items[itemIndex].quantity = parseFloat(quantity);
-            if (purchased !== undefined) list.items[itemIndex].purchased = purchased;
-            if (notes !== undefined) list.items[itemIndex].notes = notes;
-            list.items[itemIndex].updatedAt = new Date().toISOString();
+            const updatedList = await this.listsDb.update(id, current => {
+                const items = current.items.map(item => ({ ...item }));
+                const itemIndex = items.findIndex(item => item.itemId === itemId);
+                if (itemIndex === -1) return null;
 
-            this.calculateListSummary(list);
+                if (quantity !== undefined) items[itemIndex].quantity = parseFloat(quantity);
+                if (purchased !== undefined) items[itemIndex].purchased = purchased;
+                if (notes !== undefined) items[itemIndex].notes = notes;
+                items[itemIndex].updatedAt = new Date().toISOString();
 
-            const updatedList = await this.listsDb.update(id, {
-                items: list.items,
-                summary: list.summary,
-                updatedAt: new Date().toISOString()
-            });
+                const updated = { ...current, items };
+                this.calculateListSummary(updated);
+                return { items: updated.items, summary: updated.summary };
+            }, { expectedVersion });
+            if (!updatedList) return this.sendListNotFound(res);
 
+            res.setHeader('ETag', etag.formatETag(updatedList));
             res.json({
                 success: true,
                 message: 'Item atualizado com sucesso',
                 data: updatedList
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.VersionConflictError) {
+                return this.sendPreconditionFailed(res);
+            }
+            if (error instanceof JsonDatabase.ValidationError) {
+                return this.sendValidationError(res, error);
+            }
             console.error('Erro ao atualizar item na lista:', error);
             res.status(500).json({
                 success: false,
@@ -545,30 +809,41 @@ class ListService {
                 });
             }
 
-            const filteredItems = list.items.filter(item => item.itemId !== itemId);
+            if (!etag.ifMatchSatisfied(req.header('If-Match'), list)) {
+                return this.sendPreconditionFailed(res, list);
+            }
+            const expectedVersion = etag.expectedVersion(req.header('If-Match'), list);
 
-            if (filteredItems.length === list.items.length) {
+            if (!list.items.some(item => item.itemId === itemId)) {
                 return res.status(404).json({
                     success: false,
                     message: 'Item não encontrado na lista'
                 });
             }
 
-            list.items = filteredItems;
-            this.calculateListSummary(list);
-
-            const updatedList = await this.listsDb.update(id, {
-                items: list.items,
-                summary: list.summary,
-                updatedAt: new Date().toISOString()
-            });
-
+            const updatedList = await this.listsDb.update(id, current => {
+                const updated = {
+                    ...current,
+                    items: current.items.filter(item => item.itemId !== itemId)
+                };
+                this.calculateListSummary(updated);
+                return { items: updated.items, summary: updated.summary };
+            }, { expectedVersion });
+            if (!updatedList) return this.sendListNotFound(res);
+
+            res.setHeader('ETag', etag.formatETag(updatedList));
             res.json({
                 success: true,
                 message: 'Item removido da lista com sucesso',
                 data: updatedList
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.VersionConflictError) {
+                return this.sendPreconditionFailed(res);
+            }
+            if (error instanceof JsonDatabase.ValidationError) {
+                return this.sendValidationError(res, error);
+            }
             console.error('Erro ao remover item da lista:', error);
             res.status(500).json({
                 success: false,
@@ -609,6 +884,44 @@ class ListService {
         }
     }
 
+    trashExpiresAt(list) {
+        return new Date(new Date(list.deletedAt).getTime() + this.trashRetention).toISOString();
+    }
+
+    sendListNotFound(res, message = 'Lista não encontrada') {
+        return res.status(404).json({
+            success: false,
+            message
+        });
+    }
+
+    sendPreconditionFailed(res, list) {
+        if (list) res.setHeader('ETag', etag.formatETag(list));
+        return res.status(412).json({
+            success: false,
+            message: 'A lista foi modificada por outra requisição; recarregue e tente novamente'
+        });
+    }
+
+    sendValidationError(res, error) {
+        return res.status(400).json({
+            success: false,
+            message: 'Dados da lista inválidos',
+            errors: error.errors
+        });
+    }
+
+    sendInvalidCursor(res, error) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    escapeRegex(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
     calculateListSummary(list) {
         const summary = {
             totalItems: 0,
@@ -630,19 +943,29 @@ class ListService {
     registerWithRegistry() {
         serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
-            version: '1.0.0',
+            version: this.version,
+            tags: this.tags,
             database: 'JSON-NoSQL',
+            weight: parseInt(process.env.INSTANCE_WEIGHT || '1'),
             endpoints: ['/health', '/lists', '/lists/:id', '/lists/:id/items', '/lists/:id/summary', '/search']
-        });
+        }).catch(error => console.error('Erro ao registrar serviço:', error.message));
     }
 
     startHealthReporting() {
         setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
+            serviceRegistry.updateHealth(this.serviceName, true)
+                .catch(error => console.error('Erro ao reportar saúde:', error.message));
         }, 30000);
     }
 
-    start() {
+    async start() {
+        try {
+            await this.migrations.migrate();
+        } catch (error) {
+            console.error('Erro ao executar migrações; List Service não será iniciado:', error);
+            process.exit(1);
+        }
+
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`List Service iniciado na porta ${this.port}`);
@@ -658,16 +981,15 @@ class ListService {
 }
 
 if (require.main === module) {
+    requireSecrets('List Service', 'GATEWAY_IDENTITY_SECRET');
     const listService = new ListService();
     listService.start();
 
     process.on('SIGTERM', () => {
-        serviceRegistry.unregister('list-service');
-        process.exit(0);
+        serviceRegistry.shutdown().finally(() => process.exit(0));
     });
     process.on('SIGINT', () => {
-        serviceRegistry.unregister('list-service');
-        process.exit(0);
+        serviceRegistry.shutdown().finally(() => process.exit(0));
     });
 }
 
@@ -0,0 +1,44 @@
+const userSchema = {
+    type: 'object',
+    required: ['id', 'email', 'username', 'password', 'firstName', 'lastName', 'role', 'status'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        email: { type: 'string', format: 'email', maxLength: 254 },
+        username: { type: 'string', pattern: '^[a-z0-9_.-]+$', minLength: 3, maxLength: 40 },
+        password: { type: 'string', minLength: 1 },
+        firstName: { type: 'string', minLength: 1, maxLength: 100 },
+        lastName: { type: 'string', minLength: 1, maxLength: 100 },
+        preferences: {
+            type: 'object',
+            properties: {
+                defaultStore: { type: ['string', 'null'], maxLength: 100 },
+                currency: { type: 'string', pattern: '^[A-Z]{3}$' }
+            }
+        },
+        role: { type: 'string', enum: ['user', 'admin'] },
+        status: { type: 'string', enum: ['active', 'inactive'] },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        _version: { type: 'integer', minimum: 1 }
+    }
+};
+
+const revocationSchema = {
+    type: 'object',
+    required: ['id', 'type', 'userId', 'revokedAt', 'expiresAt'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        type: { type: 'string', enum: ['token', 'user'] },
+        userId: { type: 'string', minLength: 1 },
+        tokenId: { type: ['string', 'null'] },
+        revokedAt: { type: 'string', format: 'date-time' },
+        issuedBefore: { type: 'string', format: 'date-time' },
+        expiresAt: { type: 'string', format: 'date-time' },
+        _version: { type: 'integer', minimum: 1 }
+    }
+};
+
+module.exports = {
+    userSchema,
+    revocationSchema
+};
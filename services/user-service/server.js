@@ -8,7 +8,15 @@ const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 
 const JsonDatabase = require('../../shared/JsonDatabase');
+const etag = require('../../shared/etag');
+const identity = require('../../shared/identity');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const MigrationRunner = require('../../shared/MigrationRunner');
+const { getSecret, requireSecrets } = require('../../shared/secrets');
+const { userSchema, revocationSchema } = require('./schemas');
+const packageInfo = require('./package.json');
+
+const TOKEN_LIFETIME = 24 * 60 * 60;
 
 class UserService {
     constructor() {
@@ -16,17 +24,24 @@ class UserService {
         this.port = process.env.PORT || 3001;
         this.serviceName = 'user-service';
         this.serviceUrl = `http://localhost:${this.port}`;
+        this.version = process.env.SERVICE_VERSION || packageInfo.version;
+        this.tags = (process.env.SERVICE_TAGS || '').split(',').map(tag => tag.trim()).filter(Boolean);
 
         this.setupDatabase();
         this.setupMiddleware();
         this.setupRoutes();
         this.setupErrorHandling();
-        this.seedInitialData();
     }
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.usersDb = new JsonDatabase(dbPath, 'users');
+        this.usersDb = new JsonDatabase(dbPath, 'users', { indexes: ['email', 'username'], schema: userSchema });
+        this.revocationsDb = new JsonDatabase(dbPath, 'revocations', {
+            indexes: ['userId', 'tokenId'],
+            schema: revocationSchema,
+            ttl: { field: 'expiresAt' }
+        });
+        this.migrations = new MigrationRunner({ serviceName: this.serviceName, dbPath, migrationsPath: path.join(__dirname, 'migrations') });
         console.log('User Service: Banco NoSQL inicializado');
     }
 
@@ -66,7 +81,7 @@ class UserService {
 
         this.app.use((req, res, next) => {
             res.setHeader('X-Service', this.serviceName);
-            res.setHeader('X-Service-Version', '1.0.0');
+            res.setHeader('X-Service-Version', this.version);
             res.setHeader('X-Database', 'JSON-NoSQL');
             next();
         });
@@ -81,25 +96,28 @@ class UserService {
                     status: 'healthy',
                     timestamp: new Date().toISOString(),
                     uptime: process.uptime(),
-                    database: { type: 'JSON-NoSQL', userCount }
+                    database: { status: 'up', type: 'JSON-NoSQL', storage: this.usersDb.adapter.type, userCount, cache: this.usersDb.getCacheStats() }
                 });
             } catch (error) {
-                res.status(503).json({ service: this.serviceName, status: 'unhealthy', error: error.message });
+                res.status(503).json({ service: this.serviceName, status: 'unhealthy', error: error.message, database: { status: 'down', error: error.message } });
             }
         });
 
         this.app.get('/', (req, res) => {
             res.json({
                 service: 'User Service',
-                version: '1.0.0',
+                version: this.version,
                 description: 'Microsserviço para gerenciamento de usuários com NoSQL',
                 database: 'JSON-NoSQL',
                 endpoints: [
                     'POST /auth/register',
                     'POST /auth/login',
                     'POST /auth/validate',
+                    'POST /auth/logout',
+                    'GET /auth/revocations',
                     'GET /users/:id',
-                    'PUT /users/:id'
+                    'PUT /users/:id',
+                    'PUT /users/:id/status'
                 ]
             });
         });
@@ -107,8 +125,11 @@ class UserService {
         this.app.post('/auth/register', this.register.bind(this));
         this.app.post('/auth/login', this.login.bind(this));
         this.app.post('/auth/validate', this.validateToken.bind(this));
-        this.app.get('/users/:id', this.authMiddleware.bind(this), this.getUser.bind(this));
-        this.app.put('/users/:id', this.authMiddleware.bind(this), this.updateUser.bind(this));
+        this.app.post('/auth/logout', identity.authenticate, this.logout.bind(this));
+        this.app.get('/auth/revocations', identity.authenticate, identity.requireRole('service'), this.getRevocations.bind(this));
+        this.app.get('/users/:id', identity.authenticate, this.getUser.bind(this));
+        this.app.put('/users/:id', identity.authenticate, this.updateUser.bind(this));
+        this.app.put('/users/:id/status', identity.authenticate, identity.requireRole('admin'), this.updateStatus.bind(this));
     }
 
     setupErrorHandling() {
@@ -122,19 +143,31 @@ class UserService {
         });
     }
 
-    authMiddleware(req, res, next) {
-        const authHeader = req.header('Authorization');
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, message: 'Token obrigatório' });
-        }
-        const token = authHeader.replace('Bearer ', '');
-        try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'user-secret');
-            req.user = decoded;
-            next();
-        } catch (error) {
-            res.status(401).json({ success: false, message: 'Token inválido' });
-        }
+    issueToken(user) {
+        return jwt.sign(
+            { id: user.id, email: user.email, username: user.username, role: user.role },
+            getSecret('JWT_SECRET'),
+            { expiresIn: TOKEN_LIFETIME, jwtid: uuidv4() }
+        );
+    }
+
+    async isRevoked(decoded) {
+        if (decoded.jti && await this.revocationsDb.findOne({ tokenId: decoded.jti })) return true;
+        const revocations = await this.revocationsDb.find({ userId: decoded.id, type: 'user' });
+        return revocations.some(revocation => decoded.iat < Math.floor(Date.parse(revocation.issuedBefore || revocation.revokedAt) / 1000));
+    }
+
+    async revokeSessions(userId, options = {}) {
+        const now = Date.now();
+        return this.revocationsDb.create({
+            id: uuidv4(),
+            type: 'user',
+            userId,
+            tokenId: null,
+            revokedAt: new Date(now).toISOString(),
+            issuedBefore: new Date(options.includeCurrentSecond ? now + 1000 : now).toISOString(),
+            expiresAt: new Date(now + TOKEN_LIFETIME * 1000).toISOString()
+        });
     }
 
     async register(req, res) {
@@ -165,12 +198,7 @@ class UserService {
             });
 
             const { password: _, ...userWithoutPassword } = newUser;
-            const token = jwt.sign({
-                id: newUser.id,
-                email: newUser.email,
-                username: newUser.username,
-                role: newUser.role
-            }, process.env.JWT_SECRET || 'user-secret', { expiresIn: '24h' });
+            const token = this.issueToken(newUser);
 
             res.status(201).json({
                 success: true,
@@ -178,6 +206,7 @@ class UserService {
                 data: { user: userWithoutPassword, token }
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.ValidationError) return this.sendValidationError(res, error);
             console.error('Erro no registro:', error);
             res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
@@ -205,11 +234,7 @@ class UserService {
 
             await this.usersDb.update(user.id, { updatedAt: new Date().toISOString() });
             const { password: _, ...userWithoutPassword } = user;
-            const token = jwt.sign(
-                { id: user.id, email: user.email, username: user.username, role: user.role },
-                process.env.JWT_SECRET || 'user-secret',
-                { expiresIn: '24h' }
-            );
+            const token = this.issueToken(user);
 
             res.json({
                 success: true,
@@ -227,7 +252,10 @@ class UserService {
             const { token } = req.body;
             if (!token) return res.status(400).json({ success: false, message: 'Token obrigatório' });
 
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'user-secret');
+            const decoded = jwt.verify(token, getSecret('JWT_SECRET'));
+            if (await this.isRevoked(decoded)) {
+                return res.status(401).json({ success: false, message: 'Token revogado' });
+            }
             const user = await this.usersDb.findById(decoded.id);
             if (!user || user.status !== 'active') {
                 return res.status(401).json({ success: false, message: 'Usuário não encontrado ou inativo' });
@@ -240,6 +268,52 @@ class UserService {
         }
     }
 
+    async logout(req, res) {
+        try {
+            const all = req.body.all === true;
+            if (!all && !req.user.tokenId) {
+                return res.status(400).json({ success: false, message: 'Token sem identificador; use { "all": true } para revogar todas as sessões' });
+            }
+
+            const now = Date.now();
+            const revocation = all
+                ? await this.revokeSessions(req.user.id, { includeCurrentSecond: true })
+                : await this.revocationsDb.create({
+                    id: uuidv4(),
+                    type: 'token',
+                    userId: req.user.id,
+                    tokenId: req.user.tokenId,
+                    revokedAt: new Date(now).toISOString(),
+                    expiresAt: new Date(req.user.tokenExpiresAt || now + TOKEN_LIFETIME * 1000).toISOString()
+                });
+
+            console.log(`Logout de ${req.user.username || req.user.id}: ${all ? 'todas as sessões revogadas' : `token ${revocation.tokenId} revogado`}`);
+            res.json({ success: true, message: all ? 'Todas as sessões foram encerradas' : 'Logout realizado com sucesso', data: revocation });
+        } catch (error) {
+            console.error('Erro no logout:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    }
+
+    async getRevocations(req, res) {
+        try {
+            const filter = {};
+            if (req.query.since) {
+                const since = new Date(req.query.since);
+                if (isNaN(since.getTime())) {
+                    return res.status(400).json({ success: false, message: 'Parâmetro "since" deve ser uma data ISO 8601' });
+                }
+                filter.revokedAt = { $gte: since.toISOString() };
+            }
+
+            const revocations = await this.revocationsDb.find(filter, { sort: { revokedAt: 1 } });
+            res.json({ success: true, data: { revocations, serverTime: new Date().toISOString() } });
+        } catch (error) {
+            console.error('Erro ao listar revogações:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    }
+
     async getUser(req, res) {
         try {
             const { id } = req.params;
@@ -250,6 +324,7 @@ class UserService {
             }
 
             const { password, ...userWithoutPassword } = user;
+            res.setHeader('ETag', etag.formatETag(user));
             res.json({ success: true, data: userWithoutPassword });
         } catch (error) {
             console.error('Erro ao buscar usuário:', error);
@@ -267,6 +342,7 @@ class UserService {
 
             const user = await this.usersDb.findById(id);
             if (!user) return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
+            if (!etag.ifMatchSatisfied(req.header('If-Match'), user)) return this.sendPreconditionFailed(res, user);
 
             if (email && email !== user.email) {
                 const existingEmail = await this.usersDb.findOne({ email: email.toLowerCase() });
@@ -279,30 +355,84 @@ class UserService {
             if (email) updates.email = email.toLowerCase();
             if (preferences) updates.preferences = { ...user.preferences, ...preferences };
 
-            const updatedUser = await this.usersDb.update(id, updates);
+            const updatedUser = await this.usersDb.update(id, updates, {
+                expectedVersion: etag.expectedVersion(req.header('If-Match'), user)
+            });
+            if (!updatedUser) return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
             const { password, ...userWithoutPassword } = updatedUser;
 
+            res.setHeader('ETag', etag.formatETag(updatedUser));
             res.json({ success: true, message: 'Usuário atualizado com sucesso', data: userWithoutPassword });
         } catch (error) {
+            if (error instanceof JsonDatabase.VersionConflictError) return this.sendPreconditionFailed(res);
+            if (error instanceof JsonDatabase.ValidationError) return this.sendValidationError(res, error);
             console.error('Erro ao atualizar usuário:', error);
             res.status(500).json({ success: false, message: 'Erro interno do servidor' });
         }
     }
 
+    async updateStatus(req, res) {
+        try {
+            const { id } = req.params;
+            const { status } = req.body;
+            if (!['active', 'inactive'].includes(status)) {
+                return res.status(400).json({ success: false, message: 'Campo "status" deve ser "active" ou "inactive"' });
+            }
+
+            const user = await this.usersDb.findById(id);
+            if (!user) return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
+
+            let updatedUser = user;
+            if (user.status !== status) {
+                if (status === 'inactive') await this.revokeSessions(id, { includeCurrentSecond: true });
+                updatedUser = await this.usersDb.update(id, { status, updatedAt: new Date().toISOString() });
+                if (!updatedUser) return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
+                console.log(`Usuário ${user.username} ${status === 'inactive' ? 'desativado; sessões revogadas' : 'reativado'} por ${req.user.username || req.user.id}`);
+            }
+
+            const { password, ...userWithoutPassword } = updatedUser;
+            res.setHeader('ETag', etag.formatETag(updatedUser));
+            res.json({ success: true, message: status === 'inactive' ? 'Usuário desativado' : 'Usuário ativo', data: userWithoutPassword });
+        } catch (error) {
+            console.error('Erro ao alterar status do usuário:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+        }
+    }
+
+    sendPreconditionFailed(res, user) {
+        if (user) res.setHeader('ETag', etag.formatETag(user));
+        return res.status(412).json({ success: false, message: 'O usuário foi modificado por outra requisição; recarregue e tente novamente' });
+    }
+
+    sendValidationError(res, error) {
+        return res.status(400).json({ success: false, message: 'Dados do usuário inválidos', errors: error.errors });
+    }
+
     registerWithRegistry() {
         serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
-            version: '1.0.0',
+            version: this.version,
+            tags: this.tags,
             database: 'JSON-NoSQL',
-            endpoints: ['/health', '/auth/register', '/auth/login', '/users/:id']
-        });
+            weight: parseInt(process.env.INSTANCE_WEIGHT || '1'),
+            endpoints: ['/health', '/auth/register', '/auth/login', '/auth/logout', '/users/:id']
+        }).catch(error => console.error('Erro ao registrar serviço:', error.message));
     }
 
     startHealthReporting() {
-        setInterval(() => serviceRegistry.updateHealth(this.serviceName, true), 30000);
+        setInterval(() => serviceRegistry.updateHealth(this.serviceName, true)
+            .catch(error => console.error('Erro ao reportar saúde:', error.message)), 30000);
     }
 
-    start() {
+    async start() {
+        try {
+            await this.migrations.migrate();
+        } catch (error) {
+            console.error('Erro ao executar migrações; User Service não será iniciado:', error);
+            process.exit(1);
+        }
+        this.seedInitialData();
+
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`User Service iniciado na porta ${this.port}`);
@@ -316,10 +446,11 @@ class UserService {
 }
 
 if (require.main === module) {
+    requireSecrets('User Service', 'JWT_SECRET', 'GATEWAY_IDENTITY_SECRET');
     const userService = new UserService();
     userService.start();
-    process.on('SIGTERM', () => { serviceRegistry.unregister('user-service'); process.exit(0); });
-    process.on('SIGINT', () => { serviceRegistry.unregister('user-service'); process.exit(0); });
+    process.on('SIGTERM', () => { serviceRegistry.shutdown().finally(() => process.exit(0)); });
+    process.on('SIGINT', () => { serviceRegistry.shutdown().finally(() => process.exit(0)); });
 }
 
 module.exports = UserService;
\ No newline at end of file
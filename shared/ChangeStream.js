@@ -0,0 +1,155 @@
+const EventEmitter = require('events');
+
+class ChangeHistoryError extends Error {
+    constructor(collectionName, resumeAfter, oldestSequence) {
+        super(`Não é possível retomar o fluxo de ${collectionName} a partir da sequência ${resumeAfter}: histórico disponível começa em ${oldestSequence}`);
+        this.name = 'ChangeHistoryError';
+        this.code = 'CHANGE_HISTORY_LOST';
+        this.resumeAfter = resumeAfter;
+        this.oldestSequence = oldestSequence;
+    }
+}
+
+function isNewRevision(before, document) {
+    return before._version !== document._version || before.updatedAt !== document.updatedAt;
+}
+
+function diffDocuments(previousDocuments, documents, isModified = isNewRevision) {
+    const changes = [];
+    const previous = new Map(previousDocuments.map(doc => [doc.id, doc]));
+    const current = new Map(documents.map(doc => [doc.id, doc]));
+
+    for (const [id, document] of current) {
+        const before = previous.get(id);
+        if (!before) {
+            changes.push({ op: 'insert', document });
+        } else if (isModified(before, document)) {
+            changes.push({ op: 'update', document, before });
+        }
+    }
+    for (const [id, before] of previous) {
+        if (!current.has(id)) {
+            changes.push({ op: 'delete', id, before });
+        }
+    }
+    return changes;
+}
+
+class ChangeFeed {
+    constructor(collectionName, historySize) {
+        this.collectionName = collectionName;
+        this.historySize = historySize;
+        this.sequence = 0;
+        this.history = [];
+        this.streams = new Set();
+        this.baseline = null;
+    }
+
+    publish(changes) {
+        const timestamp = new Date().toISOString();
+        changes.forEach(change => {
+            const event = {
+                sequence: ++this.sequence,
+                operationType: change.op,
+                collection: this.collectionName,
+                documentId: change.op === 'delete' ? change.id : change.document.id,
+                before: change.before || null,
+                after: change.op === 'delete' ? null : change.document,
+                timestamp
+            };
+            this.history.push(event);
+            if (this.history.length > this.historySize) {
+                this.history.shift();
+            }
+            this.streams.forEach(stream => stream.push(event));
+        });
+    }
+
+    setBaseline(documents, stamp) {
+        this.baseline = { stamp, documents };
+    }
+
+    diff(documents) {
+        return diffDocuments(this.baseline ? this.baseline.documents : [], documents);
+    }
+
+    oldestSequence() {
+        return this.history.length > 0 ? this.history[0].sequence : this.sequence + 1;
+    }
+}
+
+class ChangeStream extends EventEmitter {
+    constructor(feed, matches, options = {}) {
+        super();
+        this.feed = feed;
+        this.matches = matches;
+        this.operations = options.operations || null;
+        this.lastSequence = options.resumeAfter !== undefined ? options.resumeAfter : feed.sequence;
+        this.closed = false;
+        this.pendingError = null;
+        this.onClose = options.onClose || (() => {});
+        this.on('newListener', event => {
+            if (event !== 'error' || !this.pendingError) return;
+            const error = this.pendingError;
+            this.pendingError = null;
+            process.nextTick(() => this.emit('error', error));
+        });
+
+        process.nextTick(() => this.start(options.resumeAfter));
+    }
+
+    start(resumeAfter) {
+        if (this.closed) return;
+
+        if (resumeAfter !== undefined &&
+            (resumeAfter > this.feed.sequence || resumeAfter + 1 < this.feed.oldestSequence())) {
+            this.fail(new ChangeHistoryError(this.feed.collectionName, resumeAfter, this.feed.oldestSequence()));
+            this.close();
+            return;
+        }
+        this.feed.history
+            .filter(event => event.sequence > this.lastSequence)
+            .forEach(event => this.deliver(event));
+        this.feed.streams.add(this);
+    }
+
+    fail(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        } else {
+            this.pendingError = error;
+        }
+    }
+
+    push(event) {
+        process.nextTick(() => this.deliver(event));
+    }
+
+    deliver(event) {
+        if (this.closed || event.sequence <= this.lastSequence) return;
+        this.lastSequence = event.sequence;
+        if (this.operations && !this.operations.includes(event.operationType)) return;
+        const matched = [event.after, event.before].some(document => document && this.matches(document));
+        if (!matched) return;
+        this.emit('change', JSON.parse(JSON.stringify(event)));
+    }
+
+    get resumeToken() {
+        return this.lastSequence;
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.feed.streams.delete(this);
+        this.onClose(this);
+        this.emit('close');
+    }
+}
+
+module.exports = {
+    ChangeFeed,
+    ChangeStream,
+    ChangeHistoryError,
+    diffDocuments
+};
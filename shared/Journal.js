@@ -0,0 +1,164 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { writeFileAtomic, appendFileDurable } = require('./storage/fileUtils');
+
+class JournalRangeError extends Error {
+    constructor(collectionName, timestamp, checkpoint) {
+        super(`Não é possível restaurar ${collectionName} para ${timestamp}: o journal só cobre alterações a partir de ${checkpoint}`);
+        this.name = 'JournalRangeError';
+        this.code = 'JOURNAL_OUT_OF_RANGE';
+        this.timestamp = timestamp;
+        this.checkpoint = checkpoint;
+    }
+}
+
+class Journal {
+    constructor({ dbPath, collectionName, retention = 7 * 24 * 60 * 60 * 1000 }) {
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.filePath = path.join(dbPath, `${collectionName}.journal.jsonl`);
+        this.retention = retention;
+    }
+
+    async init() {
+        await fs.ensureDir(this.dbPath);
+        if (!await fs.pathExists(this.filePath)) {
+            await writeFileAtomic(this.filePath, JSON.stringify({ type: 'checkpoint', at: new Date().toISOString() }) + '\n');
+            return;
+        }
+
+        const content = await fs.readFile(this.filePath, 'utf8');
+        if (content && !content.endsWith('\n')) {
+            const intact = content.slice(0, content.lastIndexOf('\n') + 1);
+            await fs.truncate(this.filePath, Buffer.byteLength(intact));
+            console.error(`Journal da coleção ${this.collectionName}: última entrada incompleta descartada`);
+        }
+    }
+
+    async begin(changes) {
+        const entry = { type: 'begin', tx: uuidv4(), at: new Date().toISOString(), changes };
+        await this.append([entry]);
+        return entry;
+    }
+
+    async commit(txIds) {
+        const at = new Date().toISOString();
+        await this.append([].concat(txIds).map(tx => ({ type: 'commit', tx, at })));
+    }
+
+    async abort(tx) {
+        await this.append([{ type: 'abort', tx, at: new Date().toISOString() }]);
+    }
+
+    async append(entries) {
+        await appendFileDurable(this.filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    }
+
+    async read() {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return { checkpoint: null, transactions: [] };
+            throw error;
+        }
+
+        let checkpoint = null;
+        const transactions = new Map();
+        const lines = content.split('\n');
+
+        lines.forEach((line, lineNumber) => {
+            if (!line.trim()) return;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                if (lines.slice(lineNumber + 1).every(rest => !rest.trim())) return;
+                throw new Error(`Journal da coleção ${this.collectionName} corrompido (${this.filePath}:${lineNumber + 1}): ${error.message}`);
+            }
+
+            if (entry.type === 'checkpoint') {
+                checkpoint = entry.at;
+            } else if (entry.type === 'begin') {
+                transactions.set(entry.tx, { ...entry, status: 'pending' });
+            } else if (transactions.has(entry.tx)) {
+                transactions.get(entry.tx).status = entry.type === 'commit' ? 'committed' : 'aborted';
+            }
+        });
+
+        return { checkpoint, transactions: [...transactions.values()] };
+    }
+
+    async pending() {
+        const { transactions } = await this.read();
+        return transactions.filter(entry => entry.status === 'pending');
+    }
+
+    async committedSince(timestamp) {
+        const { checkpoint, transactions } = await this.read();
+        if (!checkpoint || timestamp < new Date(checkpoint)) {
+            throw new JournalRangeError(this.collectionName, timestamp.toISOString(), checkpoint);
+        }
+        return transactions.filter(entry => entry.status === 'committed' && new Date(entry.at) > timestamp);
+    }
+
+    async trim(now = Date.now()) {
+        const { checkpoint, transactions } = await this.read();
+        const cutoff = new Date(now - this.retention).toISOString();
+        const kept = transactions.filter(entry => entry.status === 'pending' || entry.at >= cutoff);
+        if (kept.length === transactions.length) return 0;
+
+        const keptEntries = new Set(kept);
+        const removed = transactions.filter(entry => !keptEntries.has(entry));
+        const newCheckpoint = removed.reduce((latest, entry) => entry.at > latest ? entry.at : latest, checkpoint || cutoff);
+        const lines = [{ type: 'checkpoint', at: newCheckpoint }];
+        kept.forEach(({ status, ...entry }) => {
+            lines.push(entry);
+            if (status !== 'pending') lines.push({ type: status === 'committed' ? 'commit' : 'abort', tx: entry.tx, at: entry.at });
+        });
+        await writeFileAtomic(this.filePath, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+        return removed.length;
+    }
+}
+
+function changeId(change) {
+    return change.op === 'delete' ? change.id : change.document.id;
+}
+
+function applyChanges(documents, changes) {
+    const result = documents.slice();
+    changes.forEach(change => {
+        const position = result.findIndex(doc => doc.id === changeId(change));
+        if (change.op === 'delete') {
+            if (position !== -1) result.splice(position, 1);
+        } else if (position === -1) {
+            result.push(change.document);
+        } else {
+            result[position] = change.document;
+        }
+    });
+    return result;
+}
+
+function revertChanges(documents, changes) {
+    const result = documents.slice();
+    changes.slice().reverse().forEach(change => {
+        const position = result.findIndex(doc => doc.id === changeId(change));
+        if (change.op === 'insert') {
+            if (position !== -1) result.splice(position, 1);
+        } else if (position === -1) {
+            result.push(change.before);
+        } else {
+            result[position] = change.before;
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    Journal,
+    JournalRangeError,
+    applyChanges,
+    revertChanges
+};
@@ -1,21 +1,82 @@
-const fs = require('fs-extra');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { createAdapter, listCollections } = require('./storage');
+const { ValidationError, validateDocument } = require('./validation');
+const { ChangeFeed, ChangeStream, ChangeHistoryError, diffDocuments } = require('./ChangeStream');
+const { Journal, JournalRangeError, applyChanges, revertChanges } = require('./Journal');
+const { TextIndex, analyze, highlight } = require('./TextIndex');
+
+const writeQueues = new Map();
+const writeRevisions = new Map();
+const changeFeeds = new Map();
+
+class VersionConflictError extends Error {
+    constructor(collectionName, id, expectedVersion, currentVersion) {
+        super(`Conflito de versão em ${collectionName}/${id}: esperado ${expectedVersion}, atual ${currentVersion}`);
+        this.name = 'VersionConflictError';
+        this.code = 'VERSION_CONFLICT';
+        this.expectedVersion = expectedVersion;
+        this.currentVersion = currentVersion;
+    }
+}
+
+class CursorError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CursorError';
+        this.code = 'INVALID_CURSOR';
+    }
+}
 
 class JsonDatabase {
-    constructor(dbPath, collectionName) {
+    static listCollections(dbPath, options = {}) {
+        return listCollections(options.adapter || process.env.JSON_DB_ADAPTER, dbPath, options.adapterOptions);
+    }
+
+    constructor(dbPath, collectionName, options = {}) {
         this.dbPath = dbPath;
         this.collectionName = collectionName;
-        this.filePath = path.join(dbPath, `${collectionName}.json`);
-        this.ensureDatabase();
+        this.adapter = createAdapter(options.adapter || process.env.JSON_DB_ADAPTER, {
+            ...options.adapterOptions,
+            dbPath,
+            collectionName
+        });
+        this.journal = this.createJournal(options);
+        this.indexedFields = options.indexes || [];
+        this.textIndex = options.textIndex ? new TextIndex(options.textIndex) : null;
+        this.schema = options.schema || null;
+        this.softDelete = Boolean(options.softDelete);
+        this.ttl = options.ttl ? { expireAfter: 0, ...options.ttl } : null;
+        this.ttlInterval = options.ttlInterval !== undefined
+            ? options.ttlInterval
+            : parseInt(process.env.JSON_DB_TTL_INTERVAL || '60000');
+        this.ttlTimer = null;
+        this.index = null;
+        this.cacheEnabled = options.cache !== undefined ? options.cache : process.env.JSON_DB_CACHE !== 'false';
+        this.cache = null;
+        this.revision = undefined;
+        this.cacheStats = { hits: 0, misses: 0, invalidations: 0 };
+        this.watcher = null;
+        this.changeHistory = options.changeHistory || 1000;
+        this.changeStreams = new Set();
+        this.refreshTimer = null;
+        this.compactTimer = null;
+        this.compactInterval = options.compactInterval !== undefined
+            ? options.compactInterval
+            : parseInt(process.env.JSON_DB_COMPACT_INTERVAL || '300000');
+        this.ready = this.ensureDatabase();
     }
 
     async ensureDatabase() {
         try {
-            await fs.ensureDir(this.dbPath);
-            if (!await fs.pathExists(this.filePath)) {
-                await fs.writeJson(this.filePath, []);
-            }
+            await this.enqueueWrite(async () => {
+                await this.adapter.init();
+                if (this.journal) await this.recoverJournal();
+                this.ready = null;
+                if (this.cacheEnabled) this.watchCollection();
+                this.scheduleCompaction();
+                this.scheduleExpiry();
+                await this.syncIndexFile(await this.readAll());
+            });
         } catch (error) {
             console.error('Erro ao inicializar banco:', error);
             throw error;
@@ -24,36 +85,36 @@ class JsonDatabase {
 
     async create(data) {
         try {
-            const documents = await this.readAll();
-            const document = {
-                id: data.id || uuidv4(),
-                ...data,
-                createdAt: data.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-            documents.push(document);
-            await this.writeAll(documents);
-            return document;
+            return await this.enqueueWrite(async () => {
+                const documents = await this.readAll();
+                const document = this.buildDocument(data);
+                documents.push(document);
+                await this.writeAll(documents, [{ op: 'insert', document }]);
+                return this.cloneDocument(document);
+            });
         } catch (error) {
-            console.error('Erro ao criar documento:', error);
+            if (!(error instanceof ValidationError)) console.error('Erro ao criar documento:', error);
             throw error;
         }
     }
 
-    async findById(id) {
+    async findById(id, options = {}) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => doc.id === id) || null;
+            const { documents, index } = await this.readIndexed();
+            const entry = index.byId.get(id);
+            if (entry === undefined || !this.isVisible(documents[entry.position], options)) return null;
+            return this.presentDocument(documents[entry.position], options.projection);
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
         }
     }
 
-    async findOne(filter) {
+    async findOne(filter, options = {}) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => this.matchesFilter(doc, filter)) || null;
+            const documents = await this.readCandidates(filter, options);
+            const document = documents.find(doc => this.matchesFilter(doc, filter));
+            return document ? this.cloneDocument(document) : null;
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
@@ -62,28 +123,45 @@ class JsonDatabase {
 
     async find(filter = {}, options = {}) {
         try {
-            let documents = await this.readAll();
+            let documents = await this.readCandidates(filter, options);
             if (Object.keys(filter).length > 0) {
                 documents = documents.filter(doc => this.matchesFilter(doc, filter));
             }
-            if (options.sort) {
-                documents = this.sortDocuments(documents, options.sort);
+            const sort = options.after ? this.cursorSort(options.sort) : options.sort;
+            if (sort) {
+                documents = this.sortDocuments(documents, sort);
+            }
+            if (options.after) {
+                documents = this.documentsAfter(documents, sort, options.after);
             }
             if (options.skip || options.limit) {
                 const skip = options.skip || 0;
                 const limit = options.limit || documents.length;
                 documents = documents.slice(skip, skip + limit);
             }
-            return documents;
+            return documents.map(doc => this.presentDocument(doc, options.projection));
         } catch (error) {
-            console.error('Erro ao buscar documentos:', error);
+            if (!(error instanceof CursorError)) console.error('Erro ao buscar documentos:', error);
             throw error;
         }
     }
 
-    async count(filter = {}) {
+    async findPage(filter = {}, options = {}) {
+        const limit = options.limit || 10;
+        const sort = this.cursorSort(options.sort);
+        const documents = await this.find(filter, { ...options, sort, skip: 0, limit: limit + 1, projection: null });
+        const page = documents.slice(0, limit);
+        const hasMore = documents.length > limit;
+        return {
+            documents: page.map(doc => this.presentDocument(doc, options.projection)),
+            nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], sort) : null,
+            hasMore
+        };
+    }
+
+    async count(filter = {}, options = {}) {
         try {
-            const documents = await this.readAll();
+            const documents = await this.readCandidates(filter, options);
             if (Object.keys(filter).length === 0) {
                 return documents.length;
             }
@@ -94,43 +172,283 @@ class JsonDatabase {
         }
     }
 
-    async update(id, updates) {
+    async update(id, updates, options = {}) {
+        try {
+            return await this.enqueueWrite(async () => {
+                const { documents, index: collectionIndex } = await this.readIndexed();
+                const entry = collectionIndex.byId.get(id);
+                if (entry === undefined || !this.isVisible(documents[entry.position], options)) return null;
+                const index = entry.position;
+                this.assertVersion(documents[index], options.expectedVersion);
+                const changes = typeof updates === 'function'
+                    ? await updates(this.cloneDocument(documents[index]))
+                    : updates;
+                if (!changes) return this.cloneDocument(documents[index]);
+                const before = documents[index];
+                documents[index] = this.mergeDocument(before, changes);
+                await this.writeAll(documents, [{ op: 'update', document: documents[index], before }]);
+                return this.cloneDocument(documents[index]);
+            });
+        } catch (error) {
+            if (!(error instanceof VersionConflictError || error instanceof ValidationError)) console.error('Erro ao atualizar documento:', error);
+            throw error;
+        }
+    }
+
+    async delete(id, options = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
-            if (index === -1) return null;
-            documents[index] = {
-                ...documents[index],
-                ...updates,
-                id: documents[index].id,
-                createdAt: documents[index].createdAt,
-                updatedAt: new Date().toISOString()
-            };
-            await this.writeAll(documents);
-            return documents[index];
+            return await this.enqueueWrite(async () => {
+                const { documents, index: collectionIndex } = await this.readIndexed();
+                const entry = collectionIndex.byId.get(id);
+                if (entry === undefined || !this.isVisible(documents[entry.position], options)) return false;
+                const index = entry.position;
+                this.assertVersion(documents[index], options.expectedVersion);
+
+                if (this.softDelete && !options.hard) {
+                    const before = documents[index];
+                    documents[index] = this.mergeDocument(before, { deletedAt: new Date().toISOString() });
+                    await this.writeAll(documents, [{ op: 'update', document: documents[index], before }]);
+                    return true;
+                }
+
+                const [before] = documents.splice(index, 1);
+                await this.writeAll(documents, [{ op: 'delete', id, before }]);
+                return true;
+            });
+        } catch (error) {
+            if (!(error instanceof VersionConflictError)) console.error('Erro ao deletar documento:', error);
+            throw error;
+        }
+    }
+
+    async restore(id) {
+        try {
+            return await this.enqueueWrite(async () => {
+                const { documents, index: collectionIndex } = await this.readIndexed();
+                const entry = collectionIndex.byId.get(id);
+                if (entry === undefined || documents[entry.position].deletedAt == null) return null;
+
+                const before = documents[entry.position];
+                const { deletedAt, ...restored } = before;
+                documents[entry.position] = this.mergeDocument(restored, {});
+                await this.writeAll(documents, [{ op: 'update', document: documents[entry.position], before }]);
+                return this.cloneDocument(documents[entry.position]);
+            });
         } catch (error) {
-            console.error('Erro ao atualizar documento:', error);
+            console.error('Erro ao restaurar documento:', error);
             throw error;
         }
     }
 
-    async delete(id) {
+    async purge(filter = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
-            if (index === -1) return false;
-            documents.splice(index, 1);
-            await this.writeAll(documents);
-            return true;
+            return await this.enqueueWrite(async () => {
+                const { documents, index } = await this.readIndexed();
+                const positions = new Set(this.findPositions(documents, index, filter, { includeDeleted: true })
+                    .filter(position => documents[position].deletedAt != null));
+                await this.removePositions(documents, positions);
+                return { deletedCount: positions.size };
+            });
+        } catch (error) {
+            console.error('Erro ao expurgar documentos:', error);
+            throw error;
+        }
+    }
+
+    async expire(now = Date.now()) {
+        if (!this.ttl) return { deletedCount: 0 };
+        try {
+            return await this.enqueueWrite(async () => {
+                const documents = await this.readAll();
+                const positions = new Set();
+                documents.forEach((doc, position) => {
+                    if (this.isExpired(doc, now)) positions.add(position);
+                });
+                await this.removePositions(documents, positions);
+                return { deletedCount: positions.size };
+            });
+        } catch (error) {
+            console.error('Erro ao expirar documentos:', error);
+            throw error;
+        }
+    }
+
+    async insertMany(dataList) {
+        try {
+            return await this.enqueueWrite(async () => {
+                const documents = await this.readAll();
+                const inserted = dataList.map(data => this.buildDocument(data));
+                if (inserted.length > 0) {
+                    documents.push(...inserted);
+                    await this.writeAll(documents, inserted.map(document => ({ op: 'insert', document })));
+                }
+                return { insertedCount: inserted.length, documents: inserted.map(doc => this.cloneDocument(doc)) };
+            });
+        } catch (error) {
+            if (!(error instanceof ValidationError)) console.error('Erro ao inserir documentos:', error);
+            throw error;
+        }
+    }
+
+    async updateMany(filter, updates, options = {}) {
+        try {
+            return await this.enqueueWrite(async () => {
+                const { documents, index } = await this.readIndexed();
+                const positions = this.findPositions(documents, index, filter, options);
+                const modified = [];
+
+                for (const position of positions) {
+                    const changes = typeof updates === 'function'
+                        ? await updates(this.cloneDocument(documents[position]))
+                        : updates;
+                    if (!changes || !this.hasChanges(documents[position], changes)) continue;
+                    const before = documents[position];
+                    documents[position] = this.mergeDocument(before, changes);
+                    modified.push({ op: 'update', document: documents[position], before });
+                }
+
+                if (modified.length > 0) {
+                    await this.writeAll(documents, modified);
+                }
+                return { matchedCount: positions.length, modifiedCount: modified.length };
+            });
+        } catch (error) {
+            if (!(error instanceof ValidationError)) console.error('Erro ao atualizar documentos:', error);
+            throw error;
+        }
+    }
+
+    async deleteMany(filter, options = {}) {
+        try {
+            return await this.enqueueWrite(async () => {
+                const { documents, index } = await this.readIndexed();
+                const positions = new Set(this.findPositions(documents, index, filter, options));
+
+                if (this.softDelete && !options.hard) {
+                    const deletedAt = new Date().toISOString();
+                    const changes = [...positions].map(position => {
+                        const before = documents[position];
+                        documents[position] = this.mergeDocument(before, { deletedAt });
+                        return { op: 'update', document: documents[position], before };
+                    });
+                    if (changes.length > 0) {
+                        await this.writeAll(documents, changes);
+                    }
+                    return { deletedCount: positions.size };
+                }
+
+                await this.removePositions(documents, positions);
+                return { deletedCount: positions.size };
+            });
+        } catch (error) {
+            console.error('Erro ao deletar documentos:', error);
+            throw error;
+        }
+    }
+
+    async upsert(filter, data) {
+        try {
+            return await this.enqueueWrite(async () => {
+                const { documents, index } = await this.readIndexed();
+                const [position] = this.findPositions(documents, index, filter);
+
+                if (position === undefined) {
+                    const document = this.buildDocument({ ...this.equalityFields(filter), ...data });
+                    documents.push(document);
+                    await this.writeAll(documents, [{ op: 'insert', document }]);
+                    return { matchedCount: 0, modifiedCount: 0, upserted: true, document: this.cloneDocument(document) };
+                }
+
+                if (!this.hasChanges(documents[position], data)) {
+                    return { matchedCount: 1, modifiedCount: 0, upserted: false, document: this.cloneDocument(documents[position]) };
+                }
+                const before = documents[position];
+                documents[position] = this.mergeDocument(before, data);
+                await this.writeAll(documents, [{ op: 'update', document: documents[position], before }]);
+                return { matchedCount: 1, modifiedCount: 1, upserted: false, document: this.cloneDocument(documents[position]) };
+            });
+        } catch (error) {
+            if (!(error instanceof ValidationError)) console.error('Erro no upsert de documento:', error);
+            throw error;
+        }
+    }
+
+    async replaceAll(dataList) {
+        try {
+            return await this.enqueueWrite(async () => {
+                const { documents } = await this.loadDocuments();
+                return this.replaceDocuments(documents, dataList.map(data => this.cloneDocument(data)));
+            });
         } catch (error) {
-            console.error('Erro ao deletar documento:', error);
+            console.error('Erro ao substituir documentos:', error);
             throw error;
         }
     }
 
-    async search(query, fields = []) {
+    async transformAll(transformDocument) {
         try {
-            const documents = await this.readAll();
+            return await this.enqueueWrite(async () => {
+                const { documents } = await this.loadDocuments();
+                const replacement = [];
+                for (const document of documents) {
+                    const copy = this.cloneDocument(document);
+                    replacement.push((await transformDocument(copy)) || copy);
+                }
+                return this.replaceDocuments(documents, replacement);
+            });
+        } catch (error) {
+            console.error('Erro ao transformar documentos:', error);
+            throw error;
+        }
+    }
+
+    async replaceDocuments(documents, replacement) {
+        const changes = diffDocuments(documents, replacement, (before, document) => !this.valuesEqual(before, document));
+        if (changes.length > 0) {
+            await this.writeAll(replacement, changes);
+        }
+        return {
+            insertedCount: changes.filter(change => change.op === 'insert').length,
+            modifiedCount: changes.filter(change => change.op === 'update').length,
+            deletedCount: changes.filter(change => change.op === 'delete').length
+        };
+    }
+
+    async snapshot(maxAttempts = 5) {
+        return this.enqueueWrite(async () => {
+            for (let attempt = 0; attempt < maxAttempts; attempt++) {
+                const stamp = await this.adapter.getStamp();
+                const documents = await this.adapter.load();
+                if (stamp === await this.adapter.getStamp()) {
+                    return { collection: this.collectionName, takenAt: new Date().toISOString(), stamp, documents };
+                }
+            }
+            throw new Error(`Coleção ${this.collectionName} alterada continuamente; snapshot não obtido após ${maxAttempts} tentativas`);
+        });
+    }
+
+    async aggregate(pipeline = [], options = {}) {
+        try {
+            const firstStage = pipeline[0] || {};
+            let documents = await this.readCandidates(firstStage.$match || {}, options);
+            for (const stage of pipeline) {
+                documents = this.applyStage(documents, stage);
+            }
+            return documents.map(doc => this.cloneDocument(doc));
+        } catch (error) {
+            console.error('Erro na agregação:', error);
+            throw error;
+        }
+    }
+
+    async search(query, fields = [], options = {}) {
+        try {
+            if (this.textIndex && fields.every(field => this.textIndex.fields.includes(field))) {
+                const { hits } = await this.textSearch(query, { ...options, fields });
+                return hits.map(hit => hit.document);
+            }
+
+            const documents = (await this.readAll()).filter(doc => this.isVisible(doc, options));
             const searchTerm = query.toLowerCase();
             return documents.filter(doc => {
                 if (fields.length > 0) {
@@ -140,63 +458,881 @@ class JsonDatabase {
                     });
                 }
                 return this.searchInObject(doc, searchTerm);
-            });
+            }).map(doc => this.cloneDocument(doc));
         } catch (error) {
             console.error('Erro na busca:', error);
             throw error;
         }
     }
 
+    async textSearch(query, options = {}) {
+        const { documents, index } = await this.readTextIndexed();
+        const { scores, matched } = this.textIndex.score(analyze(query), { fuzzy: options.fuzzy });
+        const fields = options.fields && options.fields.length > 0 ? options.fields : this.textIndex.fields;
+        const filter = options.filter || {};
+        const sort = { score: -1, id: 1 };
+
+        let hits = [...scores]
+            .map(([id, score]) => ({ id, score, document: documents[index.byId.get(id).position] }))
+            .filter(({ document }) => this.isVisible(document, options) && this.matchesFilter(document, filter))
+            .map(hit => ({ ...hit, highlights: this.highlightFields(hit.document, fields, matched) }))
+            .filter(hit => Object.keys(hit.highlights).length > 0);
+        const total = hits.length;
+
+        hits = this.sortDocuments(hits, sort);
+        if (options.after) hits = this.documentsAfter(hits, sort, options.after);
+        const limit = options.limit || hits.length;
+        const page = hits.slice(0, limit);
+        const hasMore = hits.length > limit;
+
+        return {
+            hits: page.map(hit => ({
+                document: this.presentDocument(hit.document, options.projection),
+                score: Math.round(hit.score * 10000) / 10000,
+                highlights: hit.highlights
+            })),
+            total,
+            nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], sort) : null,
+            hasMore
+        };
+    }
+
+    async complete(prefix, options = {}) {
+        const { documents, index } = await this.readTextIndexed();
+        const filter = options.filter || {};
+        let matches = [...this.textIndex.complete(prefix)]
+            .map(id => documents[index.byId.get(id).position])
+            .filter(doc => this.isVisible(doc, options) && this.matchesFilter(doc, filter));
+        if (options.sort) matches = this.sortDocuments(matches, options.sort);
+        if (options.limit) matches = matches.slice(0, options.limit);
+        return matches.map(doc => this.presentDocument(doc, options.projection));
+    }
+
+    async readTextIndexed() {
+        if (!this.textIndex) {
+            throw new Error(`Coleção ${this.collectionName} não possui índice de texto`);
+        }
+        const { documents, index } = await this.readIndexed();
+        if (index.stamp === null || this.textIndex.stamp !== index.stamp) {
+            this.textIndex.rebuild(documents, index.stamp);
+        }
+        return { documents, index };
+    }
+
+    highlightFields(document, fields, terms) {
+        const highlights = {};
+        fields.forEach(field => {
+            const value = this.getNestedValue(document, field);
+            if (value === undefined || value === null) return;
+            const marked = highlight(value, terms);
+            if (marked) highlights[field] = marked;
+        });
+        return highlights;
+    }
+
+    watch(filter = {}, options = {}) {
+        const feed = this.getChangeFeed();
+        const stream = new ChangeStream(feed, document => this.matchesFilter(document, filter), {
+            ...options,
+            onClose: closed => {
+                this.changeStreams.delete(closed);
+                if (feed.streams.size === 0) feed.baseline = null;
+            }
+        });
+        this.changeStreams.add(stream);
+        Promise.resolve(this.ready).then(() => this.watchCollection(), () => {});
+
+        if (!feed.baseline) {
+            this.enqueueWrite(async () => {
+                const { documents, stamp } = await this.loadDocuments();
+                if (!feed.baseline) feed.setBaseline(documents, stamp);
+            }).catch(error => stream.fail(error));
+        }
+        return stream;
+    }
+
+    getChangeSequence() {
+        return this.getChangeFeed().sequence;
+    }
+
+    getChangeFeed() {
+        const key = this.adapter.key;
+        if (!changeFeeds.has(key)) {
+            changeFeeds.set(key, new ChangeFeed(this.collectionName, this.changeHistory));
+        }
+        return changeFeeds.get(key);
+    }
+
+    scheduleChangeRefresh() {
+        const feed = changeFeeds.get(this.adapter.key);
+        if (!feed || feed.streams.size === 0 || this.refreshTimer) return;
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.enqueueWrite(async () => {
+                if (!feed.baseline) return;
+                const { documents, stamp } = await this.loadDocuments();
+                if (stamp !== null && stamp === feed.baseline.stamp) return;
+                feed.publish(feed.diff(documents));
+                feed.setBaseline(documents, stamp);
+            }).catch(error => {
+                console.error(`Erro ao detectar alterações externas em ${this.collectionName}:`, error.message);
+            });
+        }, 50);
+        this.refreshTimer.unref();
+    }
+
+    getCacheStats() {
+        const lookups = this.cacheStats.hits + this.cacheStats.misses;
+        return {
+            enabled: this.cacheEnabled,
+            watching: Boolean(this.watcher),
+            hits: this.cacheStats.hits,
+            misses: this.cacheStats.misses,
+            invalidations: this.cacheStats.invalidations,
+            hitRate: lookups > 0 ? Math.round((this.cacheStats.hits / lookups) * 1000) / 1000 : null,
+            documents: this.cache ? this.cache.documents.length : 0
+        };
+    }
+
+    async restoreToTimestamp(timestamp, options = {}) {
+        if (!this.journal) {
+            throw new Error(`Journal desabilitado para a coleção ${this.collectionName}`);
+        }
+        const target = new Date(timestamp);
+        if (isNaN(target.getTime())) {
+            throw new Error(`Data inválida para restauração: ${timestamp}`);
+        }
+
+        try {
+            return await this.enqueueWrite(async () => {
+                const { documents } = await this.loadDocuments();
+                const transactions = await this.journal.committedSince(target);
+                const reverted = transactions.reduceRight((docs, entry) => revertChanges(docs, entry.changes), documents);
+
+                const currentById = new Map(documents.map(doc => [doc.id, doc]));
+                const now = new Date().toISOString();
+                const restored = reverted.map(doc => {
+                    const current = currentById.get(doc.id);
+                    if (!current || (current._version === doc._version && current.updatedAt === doc.updatedAt)) return doc;
+                    return { ...doc, updatedAt: now, _version: this.getVersion(current) + 1 };
+                });
+
+                const changes = diffDocuments(documents, restored);
+                if (!options.dryRun && changes.length > 0) {
+                    await this.writeAll(restored, changes);
+                }
+                return {
+                    collection: this.collectionName,
+                    timestamp: target.toISOString(),
+                    dryRun: Boolean(options.dryRun),
+                    revertedTransactions: transactions.length,
+                    inserted: changes.filter(change => change.op === 'insert').length,
+                    updated: changes.filter(change => change.op === 'update').length,
+                    deleted: changes.filter(change => change.op === 'delete').length
+                };
+            });
+        } catch (error) {
+            console.error('Erro ao restaurar coleção:', error);
+            throw error;
+        }
+    }
+
+    async compact() {
+        if (!this.adapter.compact && !this.journal) return false;
+        try {
+            return await this.enqueueWrite(async () => {
+                if (this.adapter.compact) {
+                    const { documents } = await this.loadDocuments();
+                    await this.adapter.compact(documents);
+                }
+                if (this.journal) {
+                    await this.journal.trim();
+                }
+                return true;
+            });
+        } catch (error) {
+            console.error('Erro ao compactar coleção:', error);
+            throw error;
+        }
+    }
+
+    scheduleCompaction() {
+        if ((!this.adapter.compact && !this.journal) || !this.compactInterval || this.compactTimer) return;
+        this.compactTimer = setInterval(() => {
+            this.compact().catch(() => {});
+        }, this.compactInterval);
+        this.compactTimer.unref();
+    }
+
+    scheduleExpiry() {
+        if (!this.ttl || this.ttlTimer) return;
+        this.expire().catch(() => {});
+        if (!this.ttlInterval) return;
+        this.ttlTimer = setInterval(() => {
+            this.expire().catch(() => {});
+        }, this.ttlInterval);
+        this.ttlTimer.unref();
+    }
+
+    stopWatching() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        this.cache = null;
+    }
+
+    async close() {
+        this.changeStreams.forEach(stream => stream.close());
+        this.stopWatching();
+        if (this.compactTimer) {
+            clearInterval(this.compactTimer);
+            this.compactTimer = null;
+        }
+        if (this.ttlTimer) {
+            clearInterval(this.ttlTimer);
+            this.ttlTimer = null;
+        }
+        await this.enqueueWrite(() => this.adapter.close());
+    }
+
+    createJournal(options) {
+        const enabled = options.journal !== undefined ? options.journal : process.env.JSON_DB_JOURNAL !== 'false';
+        if (!enabled || this.adapter.type === 'memory') return null;
+        return new Journal({
+            dbPath: this.dbPath,
+            collectionName: this.collectionName,
+            retention: options.journalRetention || parseInt(process.env.JSON_DB_JOURNAL_RETENTION || String(7 * 24 * 60 * 60 * 1000))
+        });
+    }
+
+    async recoverJournal() {
+        await this.journal.init();
+        const pending = await this.journal.pending();
+        if (pending.length > 0) {
+            const documents = await this.adapter.load();
+            const recovered = pending.reduce((docs, entry) => applyChanges(docs, entry.changes), documents);
+            await this.adapter.save(recovered);
+            await this.journal.commit(pending.map(entry => entry.tx));
+            this.markWritten();
+            this.cache = null;
+            console.log(`Coleção ${this.collectionName}: ${pending.length} transações pendentes recuperadas do journal`);
+        }
+        await this.journal.trim();
+    }
+
+    cloneDocument(document) {
+        return JSON.parse(JSON.stringify(document));
+    }
+
+    presentDocument(document, projection) {
+        const spec = this.normalizeProjection(projection);
+        return this.cloneDocument(spec ? this.projectDocument(document, spec) : document);
+    }
+
+    normalizeProjection(projection) {
+        if (!projection) return null;
+        const spec = typeof projection === 'string' || Array.isArray(projection)
+            ? Object.fromEntries([].concat(projection)
+                .flatMap(fields => fields.split(','))
+                .map(field => field.trim())
+                .filter(Boolean)
+                .map(field => [field, 1]))
+            : { ...projection };
+
+        const entries = Object.entries(spec);
+        if (entries.length === 0) return null;
+        const isExclusion = entries.every(([, value]) => value === 0 || value === false);
+        return !isExclusion && spec.id === undefined ? { id: 1, ...spec } : spec;
+    }
+
+    cursorSort(sort = {}) {
+        return sort.id === undefined ? { ...sort, id: 1 } : { ...sort };
+    }
+
+    encodeCursor(document, sort) {
+        const values = Object.keys(sort).map(field => {
+            const value = this.getNestedValue(document, field);
+            return value === undefined ? null : value;
+        });
+        return Buffer.from(JSON.stringify({ s: sort, v: values })).toString('base64url');
+    }
+
+    documentsAfter(documents, sort, token) {
+        let cursor;
+        try {
+            cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new CursorError('Cursor inválido');
+        }
+        if (!cursor || !Array.isArray(cursor.v) || JSON.stringify(cursor.s) !== JSON.stringify(sort)) {
+            throw new CursorError('Cursor inválido ou gerado para outra ordenação');
+        }
+
+        const anchor = {};
+        Object.keys(sort).forEach((field, position) => this.setNestedValue(anchor, field, cursor.v[position]));
+        return documents.filter(doc => this.compareBySort(doc, anchor, sort) > 0);
+    }
+
+    buildDocument(data) {
+        return this.validate({
+            id: data.id || uuidv4(),
+            ...data,
+            createdAt: data.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            _version: 1
+        });
+    }
+
+    mergeDocument(existing, changes) {
+        return this.validate({
+            ...existing,
+            ...changes,
+            id: existing.id,
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString(),
+            _version: this.getVersion(existing) + 1
+        });
+    }
+
+    validate(document) {
+        if (!this.schema) return document;
+        const errors = validateDocument(this.schema, document);
+        if (errors.length > 0) {
+            throw new ValidationError(this.collectionName, errors);
+        }
+        return document;
+    }
+
+    hasChanges(existing, changes) {
+        return Object.entries(changes).some(([field, value]) =>
+            !['id', 'createdAt', 'updatedAt', '_version'].includes(field) && !this.valuesEqual(existing[field], value));
+    }
+
+    getVersion(document) {
+        return document._version || 0;
+    }
+
+    assertVersion(document, expectedVersion) {
+        if (expectedVersion === undefined || expectedVersion === null) return;
+        const currentVersion = this.getVersion(document);
+        if (currentVersion !== expectedVersion) {
+            throw new VersionConflictError(this.collectionName, document.id, expectedVersion, currentVersion);
+        }
+    }
+
+    findPositions(documents, index, filter, options = {}) {
+        const candidates = this.lookupIndex(index, filter);
+        const positions = candidates
+            ? [...candidates].sort((a, b) => a - b)
+            : documents.map((doc, position) => position);
+        return positions.filter(position =>
+            this.isVisible(documents[position], options) && this.matchesFilter(documents[position], filter));
+    }
+
+    async removePositions(documents, positions) {
+        if (positions.size === 0) return;
+        await this.writeAll(
+            documents.filter((doc, position) => !positions.has(position)),
+            [...positions].map(position => ({ op: 'delete', id: documents[position].id, before: documents[position] }))
+        );
+    }
+
+    isVisible(document, options = {}) {
+        return !this.softDelete || options.includeDeleted || document.deletedAt == null;
+    }
+
+    isExpired(document, now = Date.now()) {
+        const value = this.ttl && this.getNestedValue(document, this.ttl.field);
+        if (value === undefined || value === null) return false;
+        const time = new Date(value).getTime();
+        return !isNaN(time) && time + this.ttl.expireAfter <= now;
+    }
+
+    equalityFields(filter) {
+        const fields = {};
+        for (const [field, value] of Object.entries(filter)) {
+            if (field.startsWith('$') || this.isOperatorObject(value)) continue;
+            this.setNestedValue(fields, field, value);
+        }
+        return fields;
+    }
+
+    enqueueWrite(task) {
+        const key = this.adapter.key;
+        const previous = writeQueues.get(key) || Promise.resolve();
+        const next = previous.then(task);
+        const tail = next.catch(() => {});
+        writeQueues.set(key, tail);
+        tail.then(() => {
+            if (writeQueues.get(key) === tail) {
+                writeQueues.delete(key);
+            }
+        });
+        return next;
+    }
+
+    discardStaleState() {
+        if (this.revision === writeRevisions.get(this.adapter.key)) return;
+        this.cache = null;
+        this.index = null;
+        if (this.textIndex) this.textIndex.stamp = null;
+    }
+
+    markWritten() {
+        this.revision = (writeRevisions.get(this.adapter.key) || 0) + 1;
+        writeRevisions.set(this.adapter.key, this.revision);
+    }
+
     async readAll() {
+        const { documents } = await this.loadDocuments();
+        return documents.slice();
+    }
+
+    async loadDocuments() {
+        if (this.ready) await this.ready;
+        this.discardStaleState();
+        if (this.cacheEnabled && this.cache) {
+            if (!this.cache.dirty && this.watcher) {
+                this.cacheStats.hits++;
+                return this.cache;
+            }
+            const stamp = await this.adapter.getStamp();
+            if (stamp !== null && stamp === this.cache.stamp) {
+                this.cache.dirty = false;
+                this.cacheStats.hits++;
+                return this.cache;
+            }
+        }
+
+        this.cacheStats.misses++;
+        const revision = writeRevisions.get(this.adapter.key);
+        const stamp = await this.adapter.getStamp();
+        const documents = await this.adapter.load();
+        const stable = stamp !== null && stamp === await this.adapter.getStamp();
+        this.revision = revision;
+        const snapshot = { documents, stamp: stable ? stamp : null, dirty: false };
+        if (this.cacheEnabled && stable) {
+            this.cache = snapshot;
+        }
+        return snapshot;
+    }
+
+    async writeAll(documents, changes) {
+        const transaction = this.journal && changes ? await this.journal.begin(changes) : null;
+        try {
+            await this.adapter.save(documents, changes);
+        } catch (error) {
+            if (transaction) await this.journal.abort(transaction.tx).catch(() => {});
+            throw error;
+        }
+        if (transaction) await this.journal.commit(transaction.tx);
+        this.markWritten();
+        const stamp = await this.adapter.getStamp();
+        if (this.cacheEnabled) {
+            this.cache = { documents: documents.slice(), stamp, dirty: false };
+        }
+        if (this.textIndex && this.textIndex.stamp !== null && this.index && this.textIndex.stamp === this.index.stamp && stamp !== null) {
+            this.textIndex.apply(changes || [], stamp);
+        }
+        this.index = this.buildIndex(documents, stamp);
+        await this.writeIndexFile(this.index);
+
+        const feed = this.getChangeFeed();
+        feed.publish(changes || []);
+        if (feed.baseline) feed.setBaseline(documents, stamp);
+    }
+
+    async readIndexed() {
+        const { documents, stamp } = await this.loadDocuments();
+        if (stamp === null || !this.index || this.index.stamp !== stamp) {
+            this.index = this.buildIndex(documents, stamp);
+        }
+        return { documents: documents.slice(), index: this.index };
+    }
+
+    watchCollection() {
+        if (this.watcher || !this.adapter.watch) return;
         try {
-            return await fs.readJson(this.filePath);
+            this.watcher = this.adapter.watch(() => {
+                if (this.cache && !this.cache.dirty) {
+                    this.cache.dirty = true;
+                    this.cacheStats.invalidations++;
+                }
+                this.scheduleChangeRefresh();
+            });
+            this.watcher.on('error', error => {
+                console.error(`Erro no monitoramento da coleção ${this.collectionName}:`, error.message);
+                this.stopWatching();
+            });
         } catch (error) {
-            return [];
+            console.error(`Não foi possível monitorar a coleção ${this.collectionName}:`, error.message);
+            this.watcher = null;
+        }
+    }
+
+    async readCandidates(filter = {}, options = {}) {
+        const { documents, index } = await this.readIndexed();
+        const positions = this.lookupIndex(index, filter);
+        const candidates = positions
+            ? [...positions].sort((a, b) => a - b).map(position => documents[position])
+            : documents;
+        return this.softDelete ? candidates.filter(doc => this.isVisible(doc, options)) : candidates;
+    }
+
+    lookupIndex(index, filter) {
+        let result = null;
+        for (const [field, value] of Object.entries(filter)) {
+            const fieldIndex = index.fields.get(field);
+            if (!fieldIndex) continue;
+
+            let positions;
+            if (this.isIndexableValue(value) && value !== null) {
+                positions = fieldIndex.get(value) || new Set();
+            } else if (value && this.isIndexableValue(value.$eq) && value.$eq !== null && Object.keys(value).length === 1) {
+                positions = fieldIndex.get(value.$eq) || new Set();
+            } else if (value && Array.isArray(value.$in) && !value.$in.includes(null) && Object.keys(value).length === 1) {
+                positions = new Set();
+                value.$in.forEach(item => {
+                    (fieldIndex.get(item) || []).forEach(position => positions.add(position));
+                });
+            } else {
+                continue;
+            }
+
+            result = result ? new Set([...result].filter(position => positions.has(position))) : positions;
+            if (result.size === 0) break;
         }
+        return result;
+    }
+
+    buildIndex(documents, stamp) {
+        const byId = new Map();
+        const fields = new Map([['id', new Map()], ...this.indexedFields.map(field => [field, new Map()])]);
+
+        documents.forEach((doc, position) => {
+            byId.set(doc.id, { id: doc.id, position, updatedAt: doc.updatedAt });
+            for (const [field, fieldIndex] of fields) {
+                const value = this.getNestedValue(doc, field);
+                const values = Array.isArray(value) ? value : [value];
+                values.filter(item => this.isIndexableValue(item)).forEach(item => {
+                    if (!fieldIndex.has(item)) fieldIndex.set(item, new Set());
+                    fieldIndex.get(item).add(position);
+                });
+            }
+        });
+
+        return { stamp, byId, fields };
     }
 
-    async writeAll(documents) {
-        await fs.writeJson(this.filePath, documents, { spaces: 2 });
+    isIndexableValue(value) {
+        return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+    }
+
+    async syncIndexFile(documents) {
+        this.index = this.buildIndex(documents, await this.adapter.getStamp());
+        if (!this.adapter.writeIndex) return;
+
+        const stored = await this.adapter.readIndex();
+        const upToDate = stored && Object.keys(stored).length === this.index.byId.size &&
+            [...this.index.byId.values()].every(entry => {
+                const storedEntry = stored[entry.id];
+                return storedEntry && storedEntry.position === entry.position && storedEntry.updatedAt === entry.updatedAt;
+            });
+        if (!upToDate) {
+            await this.writeIndexFile(this.index);
+        }
+    }
+
+    async writeIndexFile(index) {
+        if (!this.adapter.writeIndex) return;
+        const entries = {};
+        for (const entry of index.byId.values()) {
+            entries[entry.id] = entry;
+        }
+        await this.adapter.writeIndex(entries);
     }
 
     matchesFilter(document, filter) {
         return Object.entries(filter).every(([key, value]) => {
-            const docValue = this.getNestedValue(document, key);
-            if (typeof value === 'object' && value !== null) {
-                if (value.$regex) {
-                    const regex = new RegExp(value.$regex, value.$options || 'i');
-                    return regex.test(docValue);
-                }
-                if (value.$in) return value.$in.includes(docValue);
-                if (value.$gt) return docValue > value.$gt;
-                if (value.$lt) return docValue < value.$lt;
-                if (value.$gte) return docValue >= value.$gte;
-                if (value.$lte) return docValue <= value.$lte;
-            }
-            return docValue === value;
+            if (key === '$and') return value.every(subFilter => this.matchesFilter(document, subFilter));
+            if (key === '$or') return value.some(subFilter => this.matchesFilter(document, subFilter));
+            if (key === '$nor') return !value.some(subFilter => this.matchesFilter(document, subFilter));
+            if (key === '$not') return !this.matchesFilter(document, value);
+            return this.matchesCondition(this.getNestedValue(document, key), value);
         });
     }
 
+    matchesCondition(docValue, condition) {
+        if (!this.isOperatorObject(condition)) {
+            return this.matchesValue(docValue, condition);
+        }
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$eq': return this.matchesValue(docValue, operand);
+                case '$ne': return !this.matchesValue(docValue, operand);
+                case '$in': return operand.some(candidate => this.matchesValue(docValue, candidate));
+                case '$nin': return !operand.some(candidate => this.matchesValue(docValue, candidate));
+                case '$gt': return this.compareValues(docValue, operand, (a, b) => a > b);
+                case '$gte': return this.compareValues(docValue, operand, (a, b) => a >= b);
+                case '$lt': return this.compareValues(docValue, operand, (a, b) => a < b);
+                case '$lte': return this.compareValues(docValue, operand, (a, b) => a <= b);
+                case '$exists': return (docValue !== undefined) === Boolean(operand);
+                case '$size': return Array.isArray(docValue) && docValue.length === operand;
+                case '$regex': return this.matchesRegex(docValue, operand, condition.$options);
+                case '$options': return true;
+                case '$not': return !this.matchesCondition(docValue, operand);
+                case '$elemMatch':
+                    return Array.isArray(docValue) && docValue.some(element => {
+                        if (this.isOperatorObject(operand) || typeof element !== 'object' || element === null) {
+                            return this.matchesCondition(element, operand);
+                        }
+                        return this.matchesFilter(element, operand);
+                    });
+                default:
+                    throw new Error(`Operador de consulta não suportado: ${operator}`);
+            }
+        });
+    }
+
+    isOperatorObject(value) {
+        if (typeof value !== 'object' || value === null || Array.isArray(value) || value instanceof RegExp) {
+            return false;
+        }
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => key.startsWith('$'));
+    }
+
+    matchesValue(docValue, value) {
+        if (value instanceof RegExp) {
+            return this.matchesRegex(docValue, value);
+        }
+        if (this.valuesEqual(docValue, value)) return true;
+        return Array.isArray(docValue) && !Array.isArray(value) &&
+            docValue.some(element => this.valuesEqual(element, value));
+    }
+
+    valuesEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+            return (a === undefined && b === null) || (a === null && b === undefined);
+        }
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    compareValues(docValue, operand, comparator) {
+        if (Array.isArray(docValue)) {
+            return docValue.some(element => this.compareValues(element, operand, comparator));
+        }
+        if (docValue === undefined || docValue === null || operand === undefined || operand === null) {
+            return false;
+        }
+        if (typeof docValue !== typeof operand) return false;
+        return comparator(docValue, operand);
+    }
+
+    matchesRegex(docValue, pattern, options) {
+        const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, options || 'i');
+        if (Array.isArray(docValue)) {
+            return docValue.some(element => typeof element === 'string' && regex.test(element));
+        }
+        return typeof docValue === 'string' && regex.test(docValue);
+    }
+
     getNestedValue(obj, path) {
         return path.split('.').reduce((current, key) => {
             return current && current[key] !== undefined ? current[key] : undefined;
         }, obj);
     }
 
-    sortDocuments(documents, sortOptions) {
-        return documents.sort((a, b) => {
-            for (const [field, direction] of Object.entries(sortOptions)) {
-                const valueA = this.getNestedValue(a, field);
-                const valueB = this.getNestedValue(b, field);
-                let comparison = 0;
-                if (valueA < valueB) comparison = -1;
-                if (valueA > valueB) comparison = 1;
-                if (comparison !== 0) return direction === -1 ? -comparison : comparison;
-            }
-            return 0;
+    setNestedValue(obj, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((current, key) => {
+            if (typeof current[key] !== 'object' || current[key] === null) current[key] = {};
+            return current[key];
+        }, obj);
+        target[last] = value;
+    }
+
+    applyStage(documents, stage) {
+        const operators = Object.keys(stage);
+        if (operators.length !== 1) {
+            throw new Error('Cada estágio da agregação deve ter exatamente um operador');
+        }
+        const [operator] = operators;
+        const spec = stage[operator];
+
+        switch (operator) {
+            case '$match': return documents.filter(doc => this.matchesFilter(doc, spec));
+            case '$group': return this.groupDocuments(documents, spec);
+            case '$sort': return this.sortDocuments([...documents], spec);
+            case '$project': return documents.map(doc => this.projectDocument(doc, spec));
+            case '$unwind': return this.unwindDocuments(documents, spec);
+            case '$skip': return documents.slice(spec);
+            case '$limit': return documents.slice(0, spec);
+            case '$count': return [{ [spec]: documents.length }];
+            default:
+                throw new Error(`Estágio de agregação não suportado: ${operator}`);
+        }
+    }
+
+    evaluateExpression(doc, expression) {
+        if (typeof expression === 'string' && expression.startsWith('$')) {
+            return this.getNestedValue(doc, expression.slice(1));
+        }
+        if (Array.isArray(expression)) {
+            return expression.map(item => this.evaluateExpression(doc, item));
+        }
+        if (typeof expression !== 'object' || expression === null) {
+            return expression;
+        }
+
+        const keys = Object.keys(expression);
+        if (keys.length === 1 && keys[0].startsWith('$')) {
+            const operator = keys[0];
+            const args = [].concat(expression[operator]).map(arg => this.evaluateExpression(doc, arg));
+            const numbers = args.map(arg => (typeof arg === 'number' ? arg : 0));
+            switch (operator) {
+                case '$add': return numbers.reduce((total, value) => total + value, 0);
+                case '$subtract': return numbers[0] - numbers[1];
+                case '$multiply': return numbers.reduce((total, value) => total * value, 1);
+                case '$divide': return numbers[1] === 0 ? null : numbers[0] / numbers[1];
+                case '$ifNull': return args.find(arg => arg !== undefined && arg !== null) ?? null;
+                case '$size': return Array.isArray(args[0]) ? args[0].length : 0;
+                case '$toLower': return typeof args[0] === 'string' ? args[0].toLowerCase() : args[0];
+                default:
+                    throw new Error(`Operador de expressão não suportado: ${operator}`);
+            }
+        }
+
+        const result = {};
+        for (const [key, value] of Object.entries(expression)) {
+            result[key] = this.evaluateExpression(doc, value);
+        }
+        return result;
+    }
+
+    groupDocuments(documents, spec) {
+        const { _id: idExpression = null, ...accumulators } = spec;
+        const groups = new Map();
+
+        for (const doc of documents) {
+            const groupId = this.evaluateExpression(doc, idExpression) ?? null;
+            const key = JSON.stringify(groupId);
+            if (!groups.has(key)) {
+                groups.set(key, { _id: groupId, documents: [] });
+            }
+            groups.get(key).documents.push(doc);
+        }
+
+        return [...groups.values()].map(group => {
+            const result = { _id: group._id };
+            for (const [field, accumulator] of Object.entries(accumulators)) {
+                result[field] = this.accumulate(group.documents, accumulator);
+            }
+            return result;
         });
     }
 
+    accumulate(documents, accumulator) {
+        const [operator] = Object.keys(accumulator);
+        const expression = accumulator[operator];
+        const values = documents.map(doc => this.evaluateExpression(doc, expression));
+        const present = values.filter(value => value !== undefined && value !== null);
+        const numbers = values.filter(value => typeof value === 'number' && !Number.isNaN(value));
+
+        switch (operator) {
+            case '$sum': return numbers.reduce((total, value) => total + value, 0);
+            case '$avg': return numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null;
+            case '$min': return present.length > 0 ? present.reduce((min, value) => (value < min ? value : min)) : null;
+            case '$max': return present.length > 0 ? present.reduce((max, value) => (value > max ? value : max)) : null;
+            case '$count': return documents.length;
+            case '$push': return values;
+            case '$addToSet': return [...new Map(present.map(value => [JSON.stringify(value), value])).values()];
+            case '$first': return values.length > 0 ? values[0] : null;
+            case '$last': return values.length > 0 ? values[values.length - 1] : null;
+            default:
+                throw new Error(`Acumulador não suportado: ${operator}`);
+        }
+    }
+
+    projectDocument(doc, spec) {
+        const entries = Object.entries(spec);
+        const isExclusion = entries.length > 0 && entries.every(([, value]) => value === 0 || value === false);
+
+        if (isExclusion) {
+            const result = JSON.parse(JSON.stringify(doc));
+            for (const [field] of entries) {
+                const keys = field.split('.');
+                const last = keys.pop();
+                const parent = keys.length > 0 ? this.getNestedValue(result, keys.join('.')) : result;
+                if (parent && typeof parent === 'object') delete parent[last];
+            }
+            return result;
+        }
+
+        const result = {};
+        if (doc._id !== undefined && spec._id === undefined) {
+            result._id = doc._id;
+        }
+        for (const [field, value] of entries) {
+            if (value === 0 || value === false) continue;
+            const projected = value === 1 || value === true
+                ? this.getNestedValue(doc, field)
+                : this.evaluateExpression(doc, value);
+            if (projected !== undefined) {
+                this.setNestedValue(result, field, projected);
+            }
+        }
+        return result;
+    }
+
+    unwindDocuments(documents, spec) {
+        const options = typeof spec === 'string' ? { path: spec } : spec;
+        const field = options.path.replace(/^\$/, '');
+        const result = [];
+
+        for (const doc of documents) {
+            const value = this.getNestedValue(doc, field);
+            if (!Array.isArray(value) || value.length === 0) {
+                if (options.preserveNullAndEmptyArrays) {
+                    result.push(doc);
+                }
+                continue;
+            }
+            value.forEach((element, position) => {
+                const unwound = field.includes('.') ? JSON.parse(JSON.stringify(doc)) : { ...doc };
+                this.setNestedValue(unwound, field, element);
+                if (options.includeArrayIndex) {
+                    unwound[options.includeArrayIndex] = position;
+                }
+                result.push(unwound);
+            });
+        }
+        return result;
+    }
+
+    sortDocuments(documents, sortOptions) {
+        return documents.sort((a, b) => this.compareBySort(a, b, sortOptions));
+    }
+
+    compareBySort(a, b, sortOptions) {
+        for (const [field, direction] of Object.entries(sortOptions)) {
+            const valueA = this.getNestedValue(a, field);
+            const valueB = this.getNestedValue(b, field);
+            let comparison = 0;
+            if (valueA < valueB) comparison = -1;
+            if (valueA > valueB) comparison = 1;
+            if (comparison !== 0) return direction === -1 ? -comparison : comparison;
+        }
+        return 0;
+    }
+
     searchInObject(obj, searchTerm) {
         for (const value of Object.values(obj)) {
             if (typeof value === 'string' && value.toLowerCase().includes(searchTerm)) return true;
@@ -206,4 +1342,10 @@ class JsonDatabase {
     }
 }
 
+JsonDatabase.VersionConflictError = VersionConflictError;
+JsonDatabase.CursorError = CursorError;
+JsonDatabase.ChangeHistoryError = ChangeHistoryError;
+JsonDatabase.JournalRangeError = JournalRangeError;
+JsonDatabase.ValidationError = ValidationError;
+
 module.exports = JsonDatabase;
\ No newline at end of file
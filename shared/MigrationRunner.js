@@ -0,0 +1,209 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const JsonDatabase = require('./JsonDatabase');
+const { diffDocuments } = require('./ChangeStream');
+const { MemoryAdapter } = require('./storage');
+
+const MIGRATION_FILE = /^(\d+)[-_].+\.js$/;
+
+class MigrationRunner {
+    constructor({ serviceName, dbPath, migrationsPath, metadataCollection = '_migrations' }) {
+        this.serviceName = serviceName;
+        this.dbPath = dbPath;
+        this.migrationsPath = migrationsPath;
+        this.metadataCollection = metadataCollection;
+        this.lockPath = path.join(dbPath, `${metadataCollection}.lock`);
+    }
+
+    loadMigrations() {
+        if (!fs.existsSync(this.migrationsPath)) return [];
+        return fs.readdirSync(this.migrationsPath)
+            .filter(file => MIGRATION_FILE.test(file))
+            .sort((a, b) => parseInt(a.match(MIGRATION_FILE)[1]) - parseInt(b.match(MIGRATION_FILE)[1]) || a.localeCompare(b))
+            .map(file => {
+                const migration = require(path.join(this.migrationsPath, file));
+                if (typeof migration.up !== 'function') {
+                    throw new Error(`Migração ${file} não exporta a função up`);
+                }
+                return { id: path.basename(file, '.js'), ...migration };
+            });
+    }
+
+    async status() {
+        const migrations = this.loadMigrations();
+        if (migrations.length === 0) return [];
+        const applied = await this.withMetadata(metadata => metadata.find({}, { sort: { id: 1 } }));
+        const appliedById = new Map(applied.map(record => [record.id, record]));
+        return migrations.map(migration => ({
+            id: migration.id,
+            description: migration.description || null,
+            reversible: typeof migration.down === 'function',
+            applied: appliedById.has(migration.id),
+            appliedAt: appliedById.has(migration.id) ? appliedById.get(migration.id).appliedAt : null
+        }));
+    }
+
+    async migrate(options = {}) {
+        const migrations = this.loadMigrations();
+        if (migrations.length === 0) {
+            return { dryRun: Boolean(options.dryRun), migrations: [], changes: null };
+        }
+        if (options.to && !migrations.some(migration => migration.id === options.to)) {
+            throw new Error(`Migração desconhecida: ${options.to}`);
+        }
+
+        return this.withLock(async () => {
+            const appliedIds = new Set((await this.withMetadata(metadata => metadata.find())).map(record => record.id));
+            const targetIndex = options.to ? migrations.findIndex(migration => migration.id === options.to) : migrations.length - 1;
+            const pending = migrations.slice(0, targetIndex + 1).filter(migration => !appliedIds.has(migration.id));
+            return this.execute(pending, 'up', options);
+        });
+    }
+
+    async rollback(options = {}) {
+        const migrations = this.loadMigrations();
+        if (options.to && !migrations.some(migration => migration.id === options.to)) {
+            throw new Error(`Migração desconhecida: ${options.to}`);
+        }
+
+        return this.withLock(async () => {
+            const appliedIds = new Set((await this.withMetadata(metadata => metadata.find())).map(record => record.id));
+            const applied = migrations.filter(migration => appliedIds.has(migration.id)).reverse();
+            const targets = options.to
+                ? applied.slice(0, applied.findIndex(migration => migration.id === options.to) + 1)
+                : applied.slice(0, options.steps || 1);
+
+            const irreversible = targets.find(migration => typeof migration.down !== 'function');
+            if (irreversible) {
+                throw new Error(`Migração ${irreversible.id} não é reversível`);
+            }
+            return this.execute(targets, 'down', options);
+        });
+    }
+
+    async execute(migrations, direction, options) {
+        const context = this.createContext(options.dryRun);
+        const results = [];
+
+        try {
+            for (const migration of migrations) {
+                const startedAt = Date.now();
+                console.log(`${this.serviceName}: ${options.dryRun ? '[simulação] ' : ''}${direction === 'up' ? 'aplicando' : 'revertendo'} migração ${migration.id}`);
+                await migration[direction](context.api);
+
+                const durationMs = Date.now() - startedAt;
+                if (!options.dryRun) {
+                    await this.withMetadata(metadata => direction === 'up'
+                        ? metadata.create({ id: migration.id, description: migration.description || null, appliedAt: new Date().toISOString(), durationMs })
+                        : metadata.delete(migration.id));
+                }
+                results.push({ id: migration.id, direction, durationMs });
+            }
+            return { dryRun: Boolean(options.dryRun), migrations: results, changes: await context.summarize() };
+        } finally {
+            await context.close();
+        }
+    }
+
+    createContext(dryRun) {
+        const databases = new Map();
+        const originals = new Map();
+        const scratchPath = `${this.dbPath}#migracao-${uuidv4()}`;
+
+        const open = async name => {
+            if (databases.has(name)) return databases.get(name);
+            if (!dryRun) {
+                databases.set(name, new JsonDatabase(this.dbPath, name, { cache: false, compactInterval: 0 }));
+                return databases.get(name);
+            }
+
+            const source = new JsonDatabase(this.dbPath, name, { cache: false, compactInterval: 0, journal: false });
+            try {
+                const { documents } = await source.snapshot();
+                originals.set(name, documents);
+            } finally {
+                await source.close();
+            }
+            const copy = new JsonDatabase(scratchPath, name, { adapter: 'memory', cache: false });
+            await copy.replaceAll(originals.get(name));
+            databases.set(name, copy);
+            return copy;
+        };
+
+        const api = {
+            dryRun: Boolean(dryRun),
+            collection: open,
+            transform: async (name, transformDocument) => (await open(name)).transformAll(transformDocument),
+            log: message => console.log(`${this.serviceName}:   ${message}`)
+        };
+
+        return {
+            api,
+            summarize: async () => {
+                if (!dryRun) return null;
+                const summary = {};
+                for (const [name, db] of databases) {
+                    const changes = diffDocuments(originals.get(name), await db.find(), (before, document) => !db.valuesEqual(before, document));
+                    summary[name] = {
+                        inserted: changes.filter(change => change.op === 'insert').length,
+                        updated: changes.filter(change => change.op === 'update').length,
+                        deleted: changes.filter(change => change.op === 'delete').length
+                    };
+                }
+                return summary;
+            },
+            close: async () => {
+                for (const [name, db] of databases) {
+                    await db.close();
+                    if (dryRun) MemoryAdapter.reset(db.adapter.key);
+                    databases.delete(name);
+                }
+            }
+        };
+    }
+
+    async withMetadata(task) {
+        const metadata = new JsonDatabase(this.dbPath, this.metadataCollection, { cache: false, compactInterval: 0, journal: false });
+        try {
+            return await task(metadata);
+        } finally {
+            await metadata.close();
+        }
+    }
+
+    async withLock(task) {
+        await fs.ensureDir(this.dbPath);
+        await this.acquireLock();
+        try {
+            return await task();
+        } finally {
+            await fs.remove(this.lockPath);
+        }
+    }
+
+    async acquireLock() {
+        try {
+            await fs.writeFile(this.lockPath, String(process.pid), { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            const owner = parseInt(await fs.readFile(this.lockPath, 'utf8').catch(() => ''));
+            if (owner && owner !== process.pid && this.isAlive(owner)) {
+                throw new Error(`Migrações de ${this.serviceName} já em execução pelo processo ${owner}`);
+            }
+            await fs.remove(this.lockPath);
+            await fs.writeFile(this.lockPath, String(process.pid), { flag: 'wx' });
+        }
+    }
+
+    isAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+}
+
+module.exports = MigrationRunner;
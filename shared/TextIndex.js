@@ -0,0 +1,244 @@
+const STOPWORDS = new Set([
+    'a', 'o', 'as', 'os', 'um', 'uma', 'uns', 'umas', 'de', 'da', 'do', 'das', 'dos',
+    'e', 'em', 'na', 'no', 'nas', 'nos', 'com', 'sem', 'para', 'pra', 'por', 'ao', 'aos'
+]);
+
+const PLURAL_RULES = [
+    ['oes', 'ao'],
+    ['aes', 'ao'],
+    ['ais', 'al'],
+    ['eis', 'el'],
+    ['ois', 'ol'],
+    ['ns', 'm'],
+    ['res', 'r'],
+    ['zes', 'z'],
+    ['ses', 's']
+];
+
+const DIMINUTIVES = ['zinho', 'zinha', 'inho', 'inha'];
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+function foldText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function stem(word) {
+    let result = word;
+    if (result.length > 3 && result.endsWith('s')) {
+        const rule = PLURAL_RULES.find(([suffix]) => result.endsWith(suffix) && result.length > suffix.length);
+        result = rule ? result.slice(0, -rule[0].length) + rule[1] : result.slice(0, -1);
+    }
+    const diminutive = DIMINUTIVES.find(suffix => result.endsWith(suffix) && result.length > suffix.length + 2);
+    if (diminutive) result = result.slice(0, -diminutive.length);
+    if (result.length > 3 && /[aeo]$/.test(result)) result = result.slice(0, -1);
+    return result;
+}
+
+function analyze(text) {
+    return (foldText(text).match(WORD) || [])
+        .filter(word => !STOPWORDS.has(word))
+        .map(stem);
+}
+
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMinimum = Math.min(rowMinimum, current[j]);
+        }
+        if (rowMinimum > max) return max + 1;
+        previous2 = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function typoTolerance(term) {
+    if (term.length <= 3) return 0;
+    return term.length <= 6 ? 1 : 2;
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+function highlight(text, terms, tags = ['<mark>', '</mark>']) {
+    const value = String(text);
+    let result = '';
+    let last = 0;
+    let matched = false;
+    for (const match of value.matchAll(WORD)) {
+        const folded = foldText(match[0]);
+        if (STOPWORDS.has(folded) || !terms.has(stem(folded))) continue;
+        result += escapeHtml(value.slice(last, match.index)) + tags[0] + escapeHtml(match[0]) + tags[1];
+        last = match.index + match[0].length;
+        matched = true;
+    }
+    return matched ? result + escapeHtml(value.slice(last)) : null;
+}
+
+class TextIndex {
+    constructor({ fields, weights = {}, completion = [], k1 = 1.2, b = 0.75 }) {
+        this.fields = fields;
+        this.weights = weights;
+        this.completionFields = completion;
+        this.k1 = k1;
+        this.b = b;
+        this.clear(null);
+    }
+
+    clear(stamp) {
+        this.stamp = stamp;
+        this.postings = new Map();
+        this.words = new Map();
+        this.vocabulary = null;
+        this.documents = new Map();
+        this.totalLength = 0;
+    }
+
+    rebuild(documents, stamp) {
+        this.clear(stamp);
+        documents.forEach(doc => this.add(doc));
+    }
+
+    apply(changes, stamp) {
+        changes.forEach(change => {
+            if (change.op !== 'insert') this.remove(change.op === 'delete' ? change.id : change.before.id);
+            if (change.op !== 'delete') this.add(change.document);
+        });
+        this.stamp = stamp;
+    }
+
+    add(doc) {
+        const terms = new Set();
+        const words = new Set();
+        let length = 0;
+        for (const field of this.completionFields) {
+            const value = this.fieldValue(doc, field);
+            if (value === undefined || value === null) continue;
+            [].concat(value).forEach(text => (foldText(text).match(WORD) || []).forEach(word => words.add(word)));
+        }
+        words.forEach(word => {
+            if (!this.words.has(word)) this.words.set(word, new Set());
+            this.words.get(word).add(doc.id);
+        });
+        if (words.size > 0) this.vocabulary = null;
+
+        for (const field of this.fields) {
+            const value = this.fieldValue(doc, field);
+            if (value === undefined || value === null) continue;
+            const weight = this.weights[field] || 1;
+            [].concat(value).flatMap(analyze).forEach(term => {
+                if (!this.postings.has(term)) this.postings.set(term, new Map());
+                const postings = this.postings.get(term);
+                postings.set(doc.id, (postings.get(doc.id) || 0) + weight);
+                terms.add(term);
+                length++;
+            });
+        }
+        this.documents.set(doc.id, { length, terms, words });
+        this.totalLength += length;
+    }
+
+    fieldValue(doc, field) {
+        return field.split('.').reduce((current, key) => current && current[key], doc);
+    }
+
+    remove(id) {
+        const entry = this.documents.get(id);
+        if (!entry) return;
+        this.totalLength -= entry.length;
+        this.documents.delete(id);
+        entry.terms.forEach(term => {
+            const postings = this.postings.get(term);
+            postings.delete(id);
+            if (postings.size === 0) this.postings.delete(term);
+        });
+        entry.words.forEach(word => {
+            const ids = this.words.get(word);
+            ids.delete(id);
+            if (ids.size === 0) {
+                this.words.delete(word);
+                this.vocabulary = null;
+            }
+        });
+    }
+
+    expand(term, fuzzy) {
+        if (this.postings.has(term) || !fuzzy) return [[term, 1]];
+        const max = typoTolerance(term);
+        if (max === 0) return [];
+        const similar = [];
+        for (const candidate of this.postings.keys()) {
+            const distance = editDistance(term, candidate, max);
+            if (distance <= max) similar.push([candidate, 1 / (1 + distance)]);
+        }
+        return similar;
+    }
+
+    complete(text) {
+        const words = foldText(text).match(WORD) || [];
+        const prefix = words.pop();
+        if (!prefix) return new Set();
+
+        if (!this.vocabulary) this.vocabulary = [...this.words.keys()].sort();
+        let low = 0;
+        let high = this.vocabulary.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.vocabulary[middle] < prefix) low = middle + 1;
+            else high = middle;
+        }
+
+        let ids = new Set();
+        for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(prefix); i++) {
+            this.words.get(this.vocabulary[i]).forEach(id => ids.add(id));
+        }
+        words.forEach(word => {
+            const exact = this.words.get(word) || new Set();
+            ids = new Set([...ids].filter(id => exact.has(id)));
+        });
+        return ids;
+    }
+
+    score(terms, options = {}) {
+        const scores = new Map();
+        const matched = new Set();
+        const count = this.documents.size;
+        const averageLength = count > 0 ? this.totalLength / count : 0;
+
+        new Set(terms).forEach(queryTerm => {
+            this.expand(queryTerm, options.fuzzy).forEach(([term, similarity]) => {
+                const postings = this.postings.get(term);
+                if (!postings) return;
+                matched.add(term);
+                const idf = Math.log(1 + (count - postings.size + 0.5) / (postings.size + 0.5));
+                for (const [id, frequency] of postings) {
+                    const normalization = this.k1 * (1 - this.b + this.b * this.documents.get(id).length / (averageLength || 1));
+                    const score = similarity * idf * frequency * (this.k1 + 1) / (frequency + normalization);
+                    scores.set(id, (scores.get(id) || 0) + score);
+                }
+            });
+        });
+        return { scores, matched };
+    }
+}
+
+module.exports = {
+    TextIndex,
+    analyze,
+    editDistance,
+    foldText,
+    highlight,
+    stem
+};
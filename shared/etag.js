@@ -0,0 +1,33 @@
+function getVersion(document) {
+    return document._version || 0;
+}
+
+function formatETag(document) {
+    return `"${document.id}-${getVersion(document)}"`;
+}
+
+function parseIfMatch(header) {
+    if (!header) return null;
+    return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).filter(Boolean);
+}
+
+function ifMatchSatisfied(header, document) {
+    const tags = parseIfMatch(header);
+    if (!tags) return true;
+    if (tags.includes('*')) return Boolean(document);
+    return Boolean(document) && tags.includes(formatETag(document));
+}
+
+function expectedVersion(header, document) {
+    const tags = parseIfMatch(header);
+    if (!tags || tags.includes('*')) return undefined;
+    return getVersion(document);
+}
+
+module.exports = {
+    getVersion,
+    formatETag,
+    parseIfMatch,
+    ifMatchSatisfied,
+    expectedVersion
+};
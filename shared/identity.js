@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { getSecret } = require('./secrets');
+
+const HEADERS = {
+    id: 'x-user-id',
+    email: 'x-user-email',
+    username: 'x-user-username',
+    role: 'x-user-role',
+    tokenId: 'x-token-id',
+    tokenExpiresAt: 'x-token-expires-at'
+};
+const ISSUED_AT_HEADER = 'x-identity-issued-at';
+const SIGNATURE_HEADER = 'x-identity-signature';
+
+class IdentityError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'IdentityError';
+    }
+}
+
+function getMaxAge() {
+    return parseInt(process.env.GATEWAY_IDENTITY_MAX_AGE || '30000');
+}
+
+function computeSignature(values, issuedAt) {
+    return crypto.createHmac('sha256', getSecret('GATEWAY_IDENTITY_SECRET'))
+        .update(JSON.stringify([...values, issuedAt]))
+        .digest('base64url');
+}
+
+function signIdentity(user, issuedAt = Date.now()) {
+    const values = Object.keys(HEADERS).map(field => (user[field] === undefined || user[field] === null ? '' : String(user[field])));
+    const headers = {};
+    Object.values(HEADERS).forEach((header, position) => {
+        if (values[position]) headers[header] = encodeURIComponent(values[position]);
+    });
+    headers[ISSUED_AT_HEADER] = String(issuedAt);
+    headers[SIGNATURE_HEADER] = computeSignature(values, String(issuedAt));
+    return headers;
+}
+
+function stripIdentity(headers) {
+    const identityHeaders = [...Object.values(HEADERS), ISSUED_AT_HEADER, SIGNATURE_HEADER];
+    return Object.fromEntries(Object.entries(headers).filter(([name]) => !identityHeaders.includes(name.toLowerCase())));
+}
+
+function verifyIdentity(headers, now = Date.now()) {
+    const signature = headers[SIGNATURE_HEADER];
+    const issuedAt = headers[ISSUED_AT_HEADER];
+    if (!signature || !issuedAt) throw new IdentityError('Identidade ausente');
+
+    let values;
+    try {
+        values = Object.values(HEADERS).map(header => (headers[header] ? decodeURIComponent(headers[header]) : ''));
+    } catch (error) {
+        throw new IdentityError('Cabeçalhos de identidade malformados');
+    }
+    const expected = Buffer.from(computeSignature(values, issuedAt));
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new IdentityError('Assinatura de identidade inválida');
+    }
+    if (Math.abs(now - Number(issuedAt)) > getMaxAge()) {
+        throw new IdentityError('Identidade expirada');
+    }
+
+    const user = {};
+    Object.keys(HEADERS).forEach((field, position) => {
+        if (values[position]) user[field] = values[position];
+    });
+    if (!user.id || !user.role) throw new IdentityError('Identidade incompleta');
+    if (user.tokenExpiresAt) user.tokenExpiresAt = Number(user.tokenExpiresAt);
+    return user;
+}
+
+function authenticate(req, res, next) {
+    try {
+        req.user = verifyIdentity(req.headers);
+        next();
+    } catch (error) {
+        if (!(error instanceof IdentityError)) return next(error);
+        res.status(401).json({ success: false, message: 'Não autenticado', reason: error.message });
+    }
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (req.user && roles.includes(req.user.role)) return next();
+        res.status(403).json({ success: false, message: 'Acesso negado', requiredRoles: roles });
+    };
+}
+
+module.exports = {
+    HEADERS,
+    IdentityError,
+    signIdentity,
+    stripIdentity,
+    verifyIdentity,
+    authenticate,
+    requireRole
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const InstanceStore = require('./InstanceStore');
+const { watchFile, writeFileAtomicSync } = require('../storage/fileUtils');
+
+const LOCK_TIMEOUT = 2000;
+const LOCK_RETRY_DELAY = 10;
+
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+class FileRegistry {
+    constructor(registryFile) {
+        this.registryFile = registryFile;
+        this.lockPath = `${registryFile}.lock`;
+    }
+
+    load() {
+        let content;
+        try {
+            content = fs.readFileSync(this.registryFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return new InstanceStore();
+            throw error;
+        }
+        const store = new InstanceStore(JSON.parse(content));
+        store.expireLeases();
+        return store;
+    }
+
+    read() {
+        try {
+            return this.load();
+        } catch (error) {
+            console.error('Erro ao ler registry file:', error.message);
+            return new InstanceStore();
+        }
+    }
+
+    write(store) {
+        try {
+            writeFileAtomicSync(this.registryFile, JSON.stringify(store, null, 2));
+        } catch (error) {
+            console.error('Erro ao escrever registry file:', error.message);
+        }
+    }
+
+    update(task) {
+        return this.withLock(() => {
+            const store = this.read();
+            const result = task(store);
+            this.write(store);
+            return result;
+        });
+    }
+
+    withLock(task) {
+        this.acquireLock();
+        try {
+            return task();
+        } finally {
+            fs.rmSync(this.lockPath, { force: true });
+        }
+    }
+
+    acquireLock() {
+        const deadline = Date.now() + LOCK_TIMEOUT;
+        for (;;) {
+            try {
+                fs.writeFileSync(this.lockPath, String(process.pid), { flag: 'wx' });
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            let owner = 0;
+            try {
+                owner = parseInt(fs.readFileSync(this.lockPath, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+            }
+            if ((owner && !InstanceStore.isProcessAlive(owner)) || Date.now() > deadline) {
+                console.warn(`Lock abandonado do registry file removido${owner ? ` (PID ${owner})` : ''}`);
+                fs.rmSync(this.lockPath, { force: true });
+                continue;
+            }
+            sleepSync(LOCK_RETRY_DELAY);
+        }
+    }
+
+    async register(serviceName, info) {
+        return this.update(store => store.register(serviceName, info));
+    }
+
+    async heartbeat(serviceName, id, healthy) {
+        return this.update(store => store.heartbeat(serviceName, id, healthy));
+    }
+
+    async setHealth(serviceName, id, healthy) {
+        return this.update(store => store.setHealth(serviceName, id, healthy));
+    }
+
+    async unregister(serviceName, id) {
+        return this.update(store => store.unregister(serviceName, id));
+    }
+
+    async instances(serviceName) {
+        return this.read().instances(serviceName);
+    }
+
+    async services() {
+        return this.read().snapshot();
+    }
+
+    subscribe({ snapshot, error }) {
+        let timer = null;
+        const refresh = () => {
+            timer = null;
+            let store;
+            try {
+                store = this.load();
+            } catch (readError) {
+                return;
+            }
+            snapshot(store.snapshot());
+        };
+        const watcher = watchFile(this.registryFile, () => {
+            if (timer) return;
+            timer = setTimeout(refresh, 50);
+            timer.unref();
+        });
+        watcher.on('error', error);
+        refresh();
+
+        return {
+            close: () => {
+                clearTimeout(timer);
+                watcher.close();
+            }
+        };
+    }
+
+    reconcile() {
+        return this.removeInstances(store => store.removeDeadProcesses());
+    }
+
+    removeByPid(pid) {
+        return this.removeInstances(store => store.removeWhere(instance => instance.pid === pid));
+    }
+
+    removeInstances(task) {
+        if (!fs.existsSync(this.registryFile)) return [];
+        return this.withLock(() => {
+            const store = this.read();
+            const removed = task(store);
+            if (removed.length > 0) this.write(store);
+            return removed;
+        });
+    }
+}
+
+module.exports = FileRegistry;
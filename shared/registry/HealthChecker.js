@@ -0,0 +1,115 @@
+const axios = require('axios');
+
+class HealthChecker {
+    static evaluate(statusCode, payload = {}) {
+        const status = payload && typeof payload === 'object' ? payload.status : undefined;
+        const database = payload && payload.database ? payload.database.status : undefined;
+        const details = { statusCode, status: status || null, database: database || null };
+
+        if (statusCode >= 400) {
+            return { ...details, ok: false, reason: (payload && payload.error) || `HTTP ${statusCode}` };
+        }
+        if (status && status !== 'healthy') {
+            return { ...details, ok: false, reason: `status ${status}` };
+        }
+        if (database && database !== 'up') {
+            return { ...details, ok: false, reason: `database ${database}` };
+        }
+        return { ...details, ok: true, reason: null };
+    }
+
+    constructor(options = {}) {
+        this.interval = options.interval || 30000;
+        this.timeout = options.timeout || 5000;
+        this.healthyThreshold = options.healthyThreshold || 2;
+        this.unhealthyThreshold = options.unhealthyThreshold || 3;
+        this.concurrency = options.concurrency || 5;
+        this.path = options.path || '/health';
+        this.states = new Map();
+    }
+
+    async probe(instance) {
+        try {
+            const response = await axios.get(`${instance.url}${this.path}`, {
+                timeout: this.timeout,
+                family: 4,
+                validateStatus: () => true
+            });
+            return HealthChecker.evaluate(response.status, response.data);
+        } catch (error) {
+            return { ok: false, reason: error.code || error.message, statusCode: null, status: null, database: null };
+        }
+    }
+
+    async checkAll(instances, onResult) {
+        const queue = instances.slice();
+        const worker = async () => {
+            while (queue.length > 0) {
+                const instance = queue.shift();
+                const state = this.record(instance, await this.probe(instance), 'active');
+                await onResult(instance, state);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+    }
+
+    record(instance, result, source) {
+        const state = this.getState(instance);
+        state.lastResult = { ...result, source, timestamp: new Date().toISOString() };
+        state.changed = false;
+
+        if (result.ok) {
+            state.consecutiveSuccesses++;
+            state.consecutiveFailures = 0;
+            if (!state.healthy && state.consecutiveSuccesses >= this.healthyThreshold) {
+                this.transition(instance, state, true, `${state.consecutiveSuccesses} sucessos consecutivos`);
+            }
+        } else {
+            state.consecutiveFailures++;
+            state.consecutiveSuccesses = 0;
+            if (state.healthy && state.consecutiveFailures >= this.unhealthyThreshold) {
+                this.transition(instance, state, false, `${state.consecutiveFailures} falhas consecutivas, última: ${source} ${result.reason}`);
+            }
+        }
+        return state;
+    }
+
+    transition(instance, state, healthy, cause) {
+        state.healthy = healthy;
+        state.changed = true;
+        state.since = new Date().toISOString();
+        const log = healthy ? console.log : console.warn;
+        log(`Instância ${instance.id} de ${instance.service} marcada como ${healthy ? 'healthy' : 'unhealthy'} (${cause})`);
+    }
+
+    getState(instance) {
+        const key = `${instance.service}/${instance.id}`;
+        if (!this.states.has(key)) {
+            this.states.set(key, {
+                healthy: instance.checkedHealthy !== false,
+                consecutiveSuccesses: 0,
+                consecutiveFailures: 0,
+                since: null,
+                changed: false,
+                lastResult: null
+            });
+        }
+        return this.states.get(key);
+    }
+
+    prune(instances) {
+        const keys = new Set(instances.map(instance => `${instance.service}/${instance.id}`));
+        [...this.states.keys()].forEach(key => {
+            if (!keys.has(key)) this.states.delete(key);
+        });
+    }
+
+    describe(instance) {
+        const state = this.states.get(`${instance.service}/${instance.id}`);
+        if (!state) return null;
+        const { changed, ...details } = state;
+        return details;
+    }
+}
+
+module.exports = HealthChecker;
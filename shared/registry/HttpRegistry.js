@@ -0,0 +1,110 @@
+const axios = require('axios');
+
+const UNAVAILABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EHOSTUNREACH'];
+
+class HttpRegistry {
+    static isUnavailable(error) {
+        return UNAVAILABLE_CODES.includes(error.code) || (error.request && !error.response);
+    }
+
+    static parseEvent(message) {
+        let type = 'message';
+        const data = [];
+        message.split('\n').forEach(line => {
+            if (line.startsWith('event:')) type = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+        });
+        if (data.length === 0) return null;
+        try {
+            return { type, data: JSON.parse(data.join('\n')) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    constructor(baseUrl, timeout = 2000) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.timeout = timeout;
+    }
+
+    async request(method, path, data) {
+        try {
+            const response = await axios({ method, url: `${this.baseUrl}${path}`, data, timeout: this.timeout, family: 4 });
+            return response.data.data;
+        } catch (error) {
+            if (error.response && error.response.status === 404) return null;
+            throw error;
+        }
+    }
+
+    instancePath(serviceName, id) {
+        return `/services/${encodeURIComponent(serviceName)}/instances/${encodeURIComponent(id)}`;
+    }
+
+    async register(serviceName, info) {
+        return this.request('post', `/services/${encodeURIComponent(serviceName)}/instances`, info);
+    }
+
+    async heartbeat(serviceName, id, healthy) {
+        return this.request('put', `${this.instancePath(serviceName, id)}/heartbeat`, { healthy });
+    }
+
+    async setHealth(serviceName, id, healthy) {
+        return this.request('put', `${this.instancePath(serviceName, id)}/health`, { healthy });
+    }
+
+    async unregister(serviceName, id) {
+        return Boolean(await this.request('delete', this.instancePath(serviceName, id)));
+    }
+
+    async instances(serviceName) {
+        return (await this.request('get', `/services/${encodeURIComponent(serviceName)}`)) || [];
+    }
+
+    async services() {
+        return (await this.request('get', '/services')) || {};
+    }
+
+    subscribe({ snapshot, change, error }) {
+        const controller = new AbortController();
+        let closed = false;
+        const fail = reason => {
+            if (closed) return;
+            closed = true;
+            controller.abort();
+            error(reason);
+        };
+
+        axios.get(`${this.baseUrl}/events`, {
+            responseType: 'stream',
+            headers: { Accept: 'text/event-stream' },
+            signal: controller.signal,
+            family: 4
+        }).then(response => {
+            let buffer = '';
+            response.data.setEncoding('utf8');
+            response.data.on('data', chunk => {
+                buffer += chunk;
+                const messages = buffer.split('\n\n');
+                buffer = messages.pop();
+                messages.forEach(message => {
+                    const event = HttpRegistry.parseEvent(message);
+                    if (!event || closed) return;
+                    if (event.type === 'snapshot') snapshot(event.data);
+                    else change(event.data);
+                });
+            });
+            response.data.on('end', () => fail(Object.assign(new Error('Stream do registry encerrado'), { code: 'ECONNRESET' })));
+            response.data.on('error', fail);
+        }).catch(fail);
+
+        return {
+            close: () => {
+                closed = true;
+                controller.abort();
+            }
+        };
+    }
+}
+
+module.exports = HttpRegistry;
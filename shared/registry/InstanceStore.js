@@ -0,0 +1,175 @@
+const EventEmitter = require('events');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+class InstanceStore extends EventEmitter {
+    static isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    constructor(data = {}, options = {}) {
+        super();
+        this.services = new Map();
+        this.leaseTtl = options.leaseTtl || parseInt(process.env.REGISTRY_LEASE_TTL || '90000');
+        this.evictionDelay = options.evictionDelay !== undefined
+            ? options.evictionDelay
+            : parseInt(process.env.REGISTRY_EVICTION_DELAY || '60000');
+        this.load(data);
+    }
+
+    load(data) {
+        Object.entries(data).forEach(([serviceName, entry]) => {
+            const instances = new Map();
+            if (typeof entry.url === 'string') {
+                const id = `${serviceName}-${entry.pid || 'legacy'}`;
+                instances.set(id, { ...entry, id, service: serviceName, lastHeartbeat: entry.lastHealthCheck || entry.registeredAt });
+            } else {
+                Object.values(entry).forEach(instance => instances.set(instance.id, { ...instance, service: serviceName }));
+            }
+            this.services.set(serviceName, instances);
+        });
+    }
+
+    register(serviceName, info) {
+        const { instanceId, ...details } = info;
+        const id = instanceId || `${serviceName}-${uuidv4().slice(0, 8)}`;
+        const existing = this.get(serviceName, id);
+        const now = Date.now();
+        const instance = {
+            ...details,
+            id,
+            service: serviceName,
+            leaseTtl: details.leaseTtl || this.leaseTtl,
+            registeredAt: existing ? existing.registeredAt : now,
+            lastHeartbeat: now,
+            lastHealthCheck: now,
+            leaseExpiresAt: now + (details.leaseTtl || this.leaseTtl),
+            reportedHealthy: true,
+            checkedHealthy: existing ? existing.checkedHealthy : null
+        };
+        instance.healthy = this.computeHealth(instance, now);
+
+        if (!this.services.has(serviceName)) this.services.set(serviceName, new Map());
+        this.services.get(serviceName).set(id, instance);
+        this.publish('register', instance);
+        return { ...instance };
+    }
+
+    heartbeat(serviceName, id, healthy = true) {
+        const instance = this.get(serviceName, id);
+        if (!instance) return null;
+        const now = Date.now();
+        instance.lastHeartbeat = now;
+        instance.leaseExpiresAt = now + (instance.leaseTtl || this.leaseTtl);
+        instance.reportedHealthy = healthy;
+        const previous = instance.healthy;
+        instance.healthy = this.computeHealth(instance, now);
+        this.publish(instance.healthy !== previous ? 'health' : 'heartbeat', instance);
+        return { ...instance };
+    }
+
+    setHealth(serviceName, id, healthy) {
+        const instance = this.get(serviceName, id);
+        if (!instance) return null;
+        const now = Date.now();
+        const previous = instance.healthy;
+        instance.checkedHealthy = healthy;
+        instance.healthy = this.computeHealth(instance, now);
+        instance.lastHealthCheck = now;
+        if (instance.healthy !== previous) this.publish('health', instance);
+        return { ...instance };
+    }
+
+    computeHealth(instance, now = Date.now()) {
+        return instance.reportedHealthy !== false && instance.checkedHealthy !== false && !this.isLeaseExpired(instance, now);
+    }
+
+    leaseExpiresAt(instance) {
+        return instance.leaseExpiresAt ||
+            (instance.lastHeartbeat || instance.registeredAt || 0) + (instance.leaseTtl || this.leaseTtl);
+    }
+
+    isLeaseExpired(instance, now = Date.now()) {
+        return this.leaseExpiresAt(instance) < now;
+    }
+
+    expireLeases(now = Date.now()) {
+        const expired = [];
+        for (const instances of this.services.values()) {
+            for (const instance of instances.values()) {
+                if (instance.healthy && this.isLeaseExpired(instance, now)) {
+                    instance.healthy = false;
+                    expired.push({ ...instance });
+                    this.publish('health', instance);
+                }
+            }
+        }
+        const evicted = this.removeWhere(instance =>
+            this.isLeaseExpired(instance, now - this.evictionDelay));
+        return { expired, evicted };
+    }
+
+    removeDeadProcesses(host = os.hostname(), isAlive = InstanceStore.isProcessAlive) {
+        return this.removeWhere(instance =>
+            (!instance.host || instance.host === host) &&
+            Boolean(instance.pid) && instance.pid !== process.pid && !isAlive(instance.pid));
+    }
+
+    unregister(serviceName, id) {
+        const instances = this.services.get(serviceName);
+        const instance = instances && instances.get(id);
+        if (!instance) return false;
+        instances.delete(id);
+        if (instances.size === 0) this.services.delete(serviceName);
+        this.publish('unregister', instance);
+        return true;
+    }
+
+    publish(type, instance) {
+        this.emit('change', { type, service: instance.service, instance: { ...instance } });
+    }
+
+    removeWhere(predicate) {
+        const removed = [];
+        for (const [serviceName, instances] of this.services) {
+            for (const [id, instance] of instances) {
+                if (predicate(instance)) removed.push({ ...instance });
+            }
+        }
+        removed.forEach(instance => this.unregister(instance.service, instance.id));
+        return removed;
+    }
+
+    get(serviceName, id) {
+        const instances = this.services.get(serviceName);
+        return instances ? instances.get(id) || null : null;
+    }
+
+    instances(serviceName) {
+        const instances = this.services.get(serviceName);
+        return instances ? [...instances.values()].map(instance => ({ ...instance })) : [];
+    }
+
+    snapshot() {
+        const services = {};
+        for (const serviceName of [...this.services.keys()].sort()) {
+            services[serviceName] = this.instances(serviceName);
+        }
+        return services;
+    }
+
+    toJSON() {
+        const data = {};
+        for (const [serviceName, instances] of this.services) {
+            data[serviceName] = Object.fromEntries(instances);
+        }
+        return data;
+    }
+}
+
+module.exports = InstanceStore;
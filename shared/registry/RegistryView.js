@@ -0,0 +1,84 @@
+const EventEmitter = require('events');
+
+class RegistryView extends EventEmitter {
+    constructor() {
+        super();
+        this.services = new Map();
+        this.ready = false;
+        this.source = null;
+    }
+
+    replace(snapshot, source) {
+        const seen = new Set();
+        Object.entries(snapshot).forEach(([serviceName, instances]) => {
+            instances.forEach(instance => {
+                seen.add(`${serviceName}/${instance.id}`);
+                this.upsert({ ...instance, service: serviceName });
+            });
+        });
+
+        for (const [serviceName, instances] of this.services) {
+            for (const id of [...instances.keys()]) {
+                if (!seen.has(`${serviceName}/${id}`)) this.remove(serviceName, id);
+            }
+        }
+
+        if (!this.ready || this.source !== source) {
+            this.ready = true;
+            this.source = source;
+            this.emit('sync', { source, services: this.services.size });
+        }
+    }
+
+    apply(event) {
+        if (event.type === 'unregister') {
+            this.remove(event.service, event.instance.id);
+        } else {
+            this.upsert({ ...event.instance, service: event.service });
+        }
+    }
+
+    upsert(instance) {
+        if (!this.services.has(instance.service)) this.services.set(instance.service, new Map());
+        const instances = this.services.get(instance.service);
+        const previous = instances.get(instance.id);
+        instances.set(instance.id, instance);
+
+        if (!previous) {
+            this.publish('register', instance);
+        } else if (previous.healthy !== instance.healthy) {
+            this.publish('health', instance, previous);
+        } else if (previous.url !== instance.url || previous.version !== instance.version ||
+            String(previous.tags) !== String(instance.tags)) {
+            this.publish('register', instance, previous);
+        }
+    }
+
+    remove(serviceName, id) {
+        const instances = this.services.get(serviceName);
+        const instance = instances && instances.get(id);
+        if (!instance) return;
+        instances.delete(id);
+        if (instances.size === 0) this.services.delete(serviceName);
+        this.publish('unregister', instance);
+    }
+
+    publish(type, instance, previous = null) {
+        this.emit('change', { type, service: instance.service, instance: { ...instance }, previous });
+    }
+
+    instances(serviceName) {
+        const instances = this.services.get(serviceName);
+        return instances ? [...instances.values()].map(instance => ({ ...instance })) : [];
+    }
+
+    snapshot() {
+        const services = {};
+        for (const serviceName of [...this.services.keys()].sort()) {
+            services[serviceName] = this.instances(serviceName);
+        }
+        return services;
+    }
+}
+
+module.exports = RegistryView;
@@ -0,0 +1,41 @@
+const DEVELOPMENT_SECRETS = {
+    JWT_SECRET: 'user-secret',
+    GATEWAY_IDENTITY_SECRET: 'gateway-identity-secret'
+};
+const DEVELOPMENT_ENVIRONMENTS = ['development', 'test'];
+
+class SecretError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SecretError';
+    }
+}
+
+function isDevelopment() {
+    return DEVELOPMENT_ENVIRONMENTS.includes(process.env.NODE_ENV || 'development');
+}
+
+function getSecret(name) {
+    const value = process.env[name];
+    if (isDevelopment()) return value || DEVELOPMENT_SECRETS[name];
+    if (!value || value === DEVELOPMENT_SECRETS[name]) {
+        throw new SecretError(`${name} precisa ser definido com um valor próprio quando NODE_ENV=${process.env.NODE_ENV}`);
+    }
+    return value;
+}
+
+function requireSecrets(serviceLabel, ...names) {
+    try {
+        names.forEach(getSecret);
+    } catch (error) {
+        if (!(error instanceof SecretError)) throw error;
+        console.error(`${error.message}; ${serviceLabel} não será iniciado`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    SecretError,
+    getSecret,
+    requireSecrets
+};
@@ -1,197 +1,356 @@
-const fs = require('fs');
+const EventEmitter = require('events');
+const os = require('os');
 const path = require('path');
+const semver = require('semver');
+const { v4: uuidv4 } = require('uuid');
 
-class FileBasedServiceRegistry {
+const FileRegistry = require('./registry/FileRegistry');
+const HealthChecker = require('./registry/HealthChecker');
+const HttpRegistry = require('./registry/HttpRegistry');
+const RegistryView = require('./registry/RegistryView');
+
+class DiscoveryError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'DiscoveryError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+class ServiceRegistryClient extends EventEmitter {
     constructor() {
-        this.registryFile = path.join(__dirname, 'services-registry.json');
-        this.ensureRegistryFile();
-        console.log('File-based Service Registry inicializado:', this.registryFile);
+        super();
+        this.mode = process.env.SERVICE_REGISTRY_MODE || 'auto';
+        this.file = new FileRegistry(path.join(__dirname, 'services-registry.json'));
+        this.http = this.mode === 'file'
+            ? null
+            : new HttpRegistry(process.env.SERVICE_REGISTRY_URL || 'http://localhost:3004');
+        this.usingFallback = false;
+        this.localInstances = new Map();
+        this.leaseTtl = parseInt(process.env.REGISTRY_LEASE_TTL || '90000');
+        this.resubscribeDelay = parseInt(process.env.REGISTRY_RESUBSCRIBE_DELAY || '5000');
+        this.view = null;
+        this.subscription = null;
+        this.fileSubscription = null;
+        this.resubscribeTimer = null;
+        this.streamDown = false;
+        this.healthChecker = new HealthChecker({
+            interval: parseInt(process.env.HEALTH_CHECK_INTERVAL || '30000'),
+            timeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT || '5000'),
+            healthyThreshold: parseInt(process.env.HEALTH_CHECK_HEALTHY_THRESHOLD || '2'),
+            unhealthyThreshold: parseInt(process.env.HEALTH_CHECK_UNHEALTHY_THRESHOLD || '3'),
+            concurrency: parseInt(process.env.HEALTH_CHECK_CONCURRENCY || '5')
+        });
+        this.passiveHealthChecks = process.env.PASSIVE_HEALTH_CHECKS !== 'false';
+        this.checking = false;
+        console.log(this.http
+            ? `Service Registry: ${this.http.baseUrl}${this.mode === 'auto' ? ` (fallback: ${this.file.registryFile})` : ''}`
+            : `File-based Service Registry inicializado: ${this.file.registryFile}`);
+
+        if (!this.http) this.reconcileFile();
     }
 
-    ensureRegistryFile() {
-        if (!fs.existsSync(this.registryFile)) {
-            this.writeRegistry({});
-        }
+    reconcileFile() {
+        this.file.reconcile().forEach(instance => {
+            console.log(`Registro órfão removido: ${instance.service} (${instance.id}, PID ${instance.pid} encerrado)`);
+        });
     }
 
-    readRegistry() {
+    async backend(operation) {
+        if (!this.http) return operation(this.file);
+
         try {
-            const data = fs.readFileSync(this.registryFile, 'utf8');
-            return JSON.parse(data);
+            const result = await operation(this.http);
+            if (this.usingFallback) {
+                this.usingFallback = false;
+                console.log(`Registry ${this.http.baseUrl} disponível novamente`);
+            }
+            return result;
         } catch (error) {
-            console.error('Erro ao ler registry file:', error.message);
-            return {};
+            if (this.mode !== 'auto' || !HttpRegistry.isUnavailable(error)) throw error;
+            if (!this.usingFallback) {
+                this.usingFallback = true;
+                console.warn(`Registry ${this.http.baseUrl} indisponível (${error.code || error.message}); usando ${this.file.registryFile}`);
+                this.reconcileFile();
+            }
+            return operation(this.file);
         }
     }
 
-    writeRegistry(services) {
-        try {
-            fs.writeFileSync(this.registryFile, JSON.stringify(services, null, 2));
-        } catch (error) {
-            console.error('Erro ao escrever registry file:', error.message);
+    async register(serviceName, serviceInfo) {
+        const local = this.localInstances.get(serviceName);
+        const instanceId = local ? local.id : `${serviceName}-${uuidv4().slice(0, 8)}`;
+        const instance = await this.backend(registry => registry.register(serviceName, {
+            ...serviceInfo,
+            tags: [...new Set(serviceInfo.tags || [])],
+            instanceId,
+            pid: process.pid,
+            host: os.hostname(),
+            leaseTtl: this.leaseTtl
+        }));
+
+        this.localInstances.set(serviceName, { id: instance.id, info: serviceInfo });
+        console.log(`Serviço registrado: ${serviceName}@${serviceInfo.version} - ${serviceInfo.url} (instância ${instance.id}, PID: ${process.pid})`);
+        return instance;
+    }
+
+    watch() {
+        if (this.view) return this.view;
+        this.view = new RegistryView();
+        this.view.on('change', event => this.emit('change', event));
+        this.view.on('sync', ({ source, services }) => {
+            console.log(`Visão do registry sincronizada via ${source === 'http' ? this.http.baseUrl : this.file.registryFile} (${services} serviços)`);
+        });
+        this.subscribe();
+        return this.view;
+    }
+
+    subscribe() {
+        this.resubscribeTimer = null;
+        if (!this.http) {
+            this.subscription = this.file.subscribe(this.fileHandlers());
+            return;
         }
+
+        this.subscription = this.http.subscribe({
+            snapshot: services => {
+                if (this.streamDown) {
+                    this.streamDown = false;
+                    console.log(`Stream de eventos do registry ${this.http.baseUrl} restabelecido`);
+                }
+                if (this.fileSubscription) {
+                    this.fileSubscription.close();
+                    this.fileSubscription = null;
+                }
+                this.view.replace(services, 'http');
+            },
+            change: event => this.view.apply(event),
+            error: error => {
+                this.subscription = null;
+                if (!this.streamDown) {
+                    this.streamDown = true;
+                    console.warn(`Stream de eventos do registry ${this.http.baseUrl} interrompido (${error.code || error.message}); nova tentativa a cada ${this.resubscribeDelay}ms`);
+                }
+                if (this.mode === 'auto' && HttpRegistry.isUnavailable(error) && !this.fileSubscription) {
+                    this.fileSubscription = this.file.subscribe(this.fileHandlers());
+                }
+                this.resubscribeTimer = setTimeout(() => this.subscribe(), this.resubscribeDelay);
+                this.resubscribeTimer.unref();
+            }
+        });
     }
 
-    register(serviceName, serviceInfo) {
-        const services = this.readRegistry();
-        
-        services[serviceName] = {
-            ...serviceInfo,
-            registeredAt: Date.now(),
-            lastHealthCheck: Date.now(),
-            healthy: true,
-            pid: process.pid
+    fileHandlers() {
+        return {
+            snapshot: services => this.view.replace(services, 'file'),
+            error: error => console.error('Erro ao monitorar registry file:', error.message)
         };
-        
-        this.writeRegistry(services);
-        console.log(`Serviço registrado: ${serviceName} - ${serviceInfo.url} (PID: ${process.pid})`);
-        console.log(`Total de serviços: ${Object.keys(services).length}`);
-    }
-
-    discover(serviceName) {
-        const services = this.readRegistry();
-        console.log(`Procurando serviço: ${serviceName}`);
-        console.log(`Serviços disponíveis: ${Object.keys(services).join(', ')}`);
-        
-        const service = services[serviceName];
-        if (!service) {
+    }
+
+    unwatch() {
+        clearTimeout(this.resubscribeTimer);
+        [this.subscription, this.fileSubscription].forEach(subscription => subscription && subscription.close());
+        this.subscription = null;
+        this.fileSubscription = null;
+        this.view = null;
+    }
+
+    async discover(serviceName, criteria = {}) {
+        return (await this.discoverAll(serviceName, criteria))[0];
+    }
+
+    async discoverAll(serviceName, criteria = {}) {
+        const instances = await this.getInstances(serviceName);
+        if (instances.length === 0) {
             console.error(`Serviço não encontrado: ${serviceName}`);
-            console.error(`Serviços registrados:`, Object.keys(services));
-            throw new Error(`Serviço não encontrado: ${serviceName}`);
+            throw new DiscoveryError('SERVICE_NOT_FOUND', `Serviço não encontrado: ${serviceName}`);
+        }
+
+        const matching = instances.filter(instance => this.matches(instance, criteria));
+        if (matching.length === 0) {
+            const availableVersions = [...new Set(instances.map(instance => instance.version))].sort();
+            throw new DiscoveryError('NO_MATCHING_INSTANCE',
+                `Nenhuma instância de ${serviceName} atende a ${this.describeCriteria(criteria)} (versões disponíveis: ${availableVersions.join(', ')})`,
+                { availableVersions });
         }
-        
-        if (!service.healthy) {
+
+        const healthy = matching.filter(instance => instance.healthy);
+        if (healthy.length === 0) {
             console.error(`Serviço indisponível: ${serviceName}`);
-            throw new Error(`Serviço indisponível: ${serviceName}`);
+            throw new DiscoveryError('SERVICE_UNAVAILABLE', `Serviço indisponível: ${serviceName}`);
         }
-        
-        console.log(`Serviço encontrado: ${serviceName} - ${service.url}`);
-        return service;
+        return healthy;
+    }
+
+    matches(instance, { version, tags = [] } = {}) {
+        if (version) {
+            const instanceVersion = semver.coerce(instance.version);
+            if (!instanceVersion || !semver.satisfies(instanceVersion, version)) return false;
+        }
+        return tags.every(tag => (instance.tags || []).includes(tag));
+    }
+
+    describeCriteria({ version, tags = [] }) {
+        return [version && `versão ${version}`, tags.length > 0 && `tags ${tags.join(', ')}`]
+            .filter(Boolean)
+            .join(' e ');
     }
 
-    listServices() {
-        const services = this.readRegistry();
+    async getInstances(serviceName) {
+        if (this.view && this.view.ready) return this.view.instances(serviceName);
+        return this.backend(registry => registry.instances(serviceName));
+    }
+
+    async getServices() {
+        if (this.view && this.view.ready) return this.view.snapshot();
+        return this.backend(registry => registry.services());
+    }
+
+    async listServices() {
+        const services = await this.getServices();
         const serviceList = {};
-        
-        Object.entries(services).forEach(([name, service]) => {
+
+        Object.entries(services).forEach(([name, instances]) => {
             serviceList[name] = {
-                url: service.url,
-                healthy: service.healthy,
-                registeredAt: new Date(service.registeredAt).toISOString(),
-                uptime: Date.now() - service.registeredAt,
-                pid: service.pid
+                healthy: instances.some(instance => instance.healthy),
+                versions: [...new Set(instances.map(instance => instance.version))].sort(),
+                instances: instances.map(({ service, registeredAt, lastHeartbeat, leaseExpiresAt, lastHealthCheck, ...metadata }) => ({
+                    ...metadata,
+                    tags: metadata.tags || [],
+                    weight: metadata.weight || 1,
+                    registeredAt: new Date(registeredAt).toISOString(),
+                    lastHeartbeat: lastHeartbeat ? new Date(lastHeartbeat).toISOString() : null,
+                    lastHealthCheck: lastHealthCheck ? new Date(lastHealthCheck).toISOString() : null,
+                    leaseExpiresAt: leaseExpiresAt ? new Date(leaseExpiresAt).toISOString() : null,
+                    uptime: Date.now() - registeredAt
+                }))
             };
         });
-        
+
         return serviceList;
     }
 
-    unregister(serviceName) {
-        const services = this.readRegistry();
-        if (services[serviceName]) {
-            delete services[serviceName];
-            this.writeRegistry(services);
-            console.log(`Serviço removido: ${serviceName}`);
-            return true;
-        }
-        return false;
+    async unregister(serviceName, instanceId) {
+        const local = this.localInstances.get(serviceName);
+        const id = instanceId || (local && local.id);
+        if (!id) return false;
+
+        const removed = await this.backend(registry => registry.unregister(serviceName, id));
+        if (local && local.id === id) this.localInstances.delete(serviceName);
+        if (removed) console.log(`Serviço removido: ${serviceName} (instância ${id})`);
+        return removed;
     }
 
-    updateHealth(serviceName, healthy) {
-        const services = this.readRegistry();
-        if (services[serviceName]) {
-            services[serviceName].healthy = healthy;
-            services[serviceName].lastHealthCheck = Date.now();
-            this.writeRegistry(services);
-            const status = healthy ? 'OK' : 'FAIL';
-            console.log(`Health check: ${serviceName} - ${status}`);
+    async updateHealth(serviceName, healthy, instanceId) {
+        const local = this.localInstances.get(serviceName);
+        if (!instanceId && local) {
+            const instance = await this.backend(registry => registry.heartbeat(serviceName, local.id, healthy));
+            if (!instance) {
+                console.warn(`Instância ${local.id} desconhecida pelo registry; registrando novamente`);
+                return this.register(serviceName, local.info);
+            }
+            return instance;
         }
+
+        if (!instanceId) return null;
+        const instance = await this.backend(registry => registry.setHealth(serviceName, instanceId, healthy));
+        if (instance) console.log(`Health check: ${serviceName} (${instanceId}) - ${healthy ? 'OK' : 'FAIL'}`);
+        return instance;
     }
 
     async performHealthChecks() {
-        const axios = require('axios');
-        const services = this.readRegistry();
-        
-        console.log(`Executando health checks de ${Object.keys(services).length} serviços...`);
-        
-        for (const [serviceName, service] of Object.entries(services)) {
-            try {
-                await axios.get(`${service.url}/health`, { 
-                    timeout: 5000,
-                    family: 4
-                });
-                this.updateHealth(serviceName, true);
-            } catch (error) {
-                console.error(`Health check falhou para ${serviceName}:`, error.message);
-                this.updateHealth(serviceName, false);
-            }
+        if (this.checking) return;
+        this.checking = true;
+        try {
+            const services = await this.getServices();
+            const instances = Object.values(services).flat();
+            this.healthChecker.prune(instances);
+
+            console.log(`Executando health checks de ${instances.length} instâncias...`);
+
+            await this.healthChecker.checkAll(instances, async (instance, state) => {
+                if (!state.lastResult.ok) {
+                    console.error(`Health check falhou para ${instance.service} (${instance.id}): ${state.lastResult.reason}`);
+                }
+                if ((instance.checkedHealthy !== false) !== state.healthy) {
+                    await this.syncHealth(instance, state.healthy);
+                }
+            });
+        } catch (error) {
+            console.error('Erro ao executar health checks:', error.message);
+        } finally {
+            this.checking = false;
         }
     }
 
-    debugListServices() {
-        const services = this.readRegistry();
-        console.log('DEBUG - Serviços registrados:');
-        Object.entries(services).forEach(([name, service]) => {
-            console.log(`   ${name}: ${service.url} (${service.healthy ? 'healthy' : 'unhealthy'}) PID:${service.pid}`);
-        });
+    reportOutcome(serviceName, instance, success, reason = null) {
+        if (!this.passiveHealthChecks) return;
+        const target = { ...instance, service: serviceName };
+        const state = this.healthChecker.record(target, { ok: success, reason }, 'passive');
+        if (state.changed) this.syncHealth(target, state.healthy);
     }
 
-    hasService(serviceName) {
-        const services = this.readRegistry();
-        return services.hasOwnProperty(serviceName);
+    async syncHealth(instance, healthy) {
+        try {
+            await this.updateHealth(instance.service, healthy, instance.id);
+        } catch (error) {
+            console.error(`Erro ao atualizar saúde de ${instance.service} (${instance.id}):`, error.message);
+        }
     }
 
-    getStats() {
-        const services = this.readRegistry();
-        const total = Object.keys(services).length;
-        let healthy = 0;
-        let unhealthy = 0;
+    describeHealth(serviceName, instanceId) {
+        return this.healthChecker.describe({ service: serviceName, id: instanceId });
+    }
 
-        Object.values(services).forEach(service => {
-            if (service.healthy) {
-                healthy++;
-            } else {
-                unhealthy++;
-            }
+    async debugListServices() {
+        const services = await this.getServices();
+        console.log('DEBUG - Serviços registrados:');
+        Object.entries(services).forEach(([name, instances]) => {
+            instances.forEach(instance => {
+                console.log(`   ${name} [${instance.id}]: ${instance.url} (${instance.healthy ? 'healthy' : 'unhealthy'}) PID:${instance.pid}`);
+            });
         });
+    }
 
-        return { total, healthy, unhealthy };
+    async hasService(serviceName) {
+        return (await this.getInstances(serviceName)).length > 0;
     }
 
-    clear() {
-        this.writeRegistry({});
-        console.log('Registry limpo');
+    async getStats() {
+        const services = await this.getServices();
+        const instances = Object.values(services).flat();
+        const healthy = instances.filter(instance => instance.healthy).length;
+
+        return {
+            services: Object.keys(services).length,
+            total: instances.length,
+            healthy,
+            unhealthy: instances.length - healthy
+        };
     }
 
-    cleanup() {
-        const services = this.readRegistry();
-        const currentPid = process.pid;
-        let changed = false;
-
-        Object.entries(services).forEach(([name, service]) => {
-            if (service.pid === currentPid) {
-                delete services[name];
-                changed = true;
-                console.log(`Removendo serviço ${name} do PID ${currentPid}`);
+    async shutdown() {
+        this.unwatch();
+        for (const serviceName of [...this.localInstances.keys()]) {
+            try {
+                await this.unregister(serviceName);
+            } catch (error) {
+                console.error(`Erro ao remover ${serviceName} do registry:`, error.message);
             }
-        });
-
-        if (changed) {
-            this.writeRegistry(services);
         }
     }
+
+    cleanup() {
+        this.file.removeByPid(process.pid).forEach(instance => {
+            console.log(`Removendo serviço ${instance.service} (${instance.id}) do PID ${process.pid}`);
+        });
+    }
 }
 
-const registry = new FileBasedServiceRegistry();
+const registry = new ServiceRegistryClient();
 
 process.on('exit', () => registry.cleanup());
-process.on('SIGINT', () => {
-    registry.cleanup();
-    process.exit(0);
-});
-process.on('SIGTERM', () => {
-    registry.cleanup();
-    process.exit(0);
-});
-
-module.exports = registry;
\ No newline at end of file
+
+module.exports = registry;
+module.exports.DiscoveryError = DiscoveryError;
@@ -0,0 +1,57 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeFileAtomic, getFileStamp, watchFile, listFiles, readJsonArray } = require('./fileUtils');
+
+class JsonFileAdapter {
+    constructor({ dbPath, collectionName }) {
+        this.type = 'json';
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.filePath = path.join(dbPath, `${collectionName}.json`);
+        this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.key = this.filePath;
+    }
+
+    async init() {
+        await fs.ensureDir(this.dbPath);
+        if (!await fs.pathExists(this.filePath)) {
+            await this.save([]);
+        }
+    }
+
+    async load() {
+        return readJsonArray(this.filePath, this.collectionName);
+    }
+
+    async save(documents) {
+        await writeFileAtomic(this.filePath, JSON.stringify(documents, null, 2) + '\n');
+    }
+
+    async getStamp() {
+        return getFileStamp(this.filePath);
+    }
+
+    watch(onChange) {
+        return watchFile(this.filePath, onChange);
+    }
+
+    async readIndex() {
+        try {
+            return await fs.readJson(this.indexPath);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async writeIndex(entries) {
+        await writeFileAtomic(this.indexPath, JSON.stringify(entries, null, 2) + '\n');
+    }
+
+    async close() {}
+
+    static async listCollections(dbPath) {
+        return listFiles(dbPath, '.json', ['_index.json']);
+    }
+}
+
+module.exports = JsonFileAdapter;
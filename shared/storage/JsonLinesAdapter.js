@@ -0,0 +1,120 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeFileAtomic, appendFileDurable, getFileStamp, watchFile, listFiles, readJsonArray } = require('./fileUtils');
+
+class JsonLinesAdapter {
+    constructor({ dbPath, collectionName, compactRatio = 2, compactMinEntries = 100 }) {
+        this.type = 'jsonl';
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.filePath = path.join(dbPath, `${collectionName}.jsonl`);
+        this.legacyPath = path.join(dbPath, `${collectionName}.json`);
+        this.key = this.filePath;
+        this.compactRatio = compactRatio;
+        this.compactMinEntries = compactMinEntries;
+        this.entryCount = 0;
+        this.documentCount = 0;
+    }
+
+    async init() {
+        await fs.ensureDir(this.dbPath);
+        if (await fs.pathExists(this.filePath)) return;
+
+        const legacyDocuments = await readJsonArray(this.legacyPath, this.collectionName);
+        await this.compact(legacyDocuments);
+        if (legacyDocuments.length > 0) {
+            console.log(`Coleção ${this.collectionName}: ${legacyDocuments.length} documentos importados de ${path.basename(this.legacyPath)}`);
+        }
+    }
+
+    async load() {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const documents = new Map();
+        const lines = content.split('\n');
+        let entries = 0;
+
+        lines.forEach((line, lineNumber) => {
+            if (!line.trim()) return;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                if (lines.slice(lineNumber + 1).every(rest => !rest.trim())) {
+                    console.error(`Coleção ${this.collectionName}: última entrada do log incompleta ignorada`);
+                    return;
+                }
+                throw new Error(`Log da coleção ${this.collectionName} corrompido (${this.filePath}:${lineNumber + 1}): ${error.message}`);
+            }
+
+            entries++;
+            if (entry.op === 'delete') {
+                documents.delete(entry.id);
+            } else {
+                documents.set(entry.doc.id, entry.doc);
+            }
+        });
+
+        this.entryCount = entries;
+        this.documentCount = documents.size;
+        return [...documents.values()];
+    }
+
+    async save(documents, changes) {
+        if (!changes) {
+            await this.compact(documents);
+            return;
+        }
+
+        const lines = changes.map(change => JSON.stringify(
+            change.op === 'delete'
+                ? { op: 'delete', id: change.id, at: new Date().toISOString() }
+                : { op: change.op, doc: change.document }
+        ));
+        if (lines.length === 0) return;
+
+        await appendFileDurable(this.filePath, lines.join('\n') + '\n');
+
+        this.entryCount += lines.length;
+        this.documentCount = documents.length;
+        if (this.needsCompaction()) {
+            await this.compact(documents);
+        }
+    }
+
+    needsCompaction() {
+        return this.entryCount >= this.compactMinEntries &&
+            this.entryCount > this.documentCount * this.compactRatio;
+    }
+
+    async compact(documents) {
+        const content = documents.map(doc => JSON.stringify({ op: 'insert', doc })).join('\n');
+        await writeFileAtomic(this.filePath, content ? content + '\n' : '');
+        this.entryCount = documents.length;
+        this.documentCount = documents.length;
+    }
+
+    async getStamp() {
+        return getFileStamp(this.filePath);
+    }
+
+    watch(onChange) {
+        return watchFile(this.filePath, onChange);
+    }
+
+    async close() {}
+
+    static async listCollections(dbPath) {
+        const logs = await listFiles(dbPath, '.jsonl', ['.journal.jsonl']);
+        const legacy = await listFiles(dbPath, '.json', ['_index.json']);
+        return [...new Set([...logs, ...legacy])];
+    }
+}
+
+module.exports = JsonLinesAdapter;
@@ -0,0 +1,49 @@
+const stores = new Map();
+
+class MemoryAdapter {
+    constructor({ dbPath, collectionName }) {
+        this.type = 'memory';
+        this.collectionName = collectionName;
+        this.key = `memory:${dbPath}:${collectionName}`;
+    }
+
+    async init() {
+        if (!stores.has(this.key)) {
+            stores.set(this.key, { documents: [], revision: 0 });
+        }
+    }
+
+    async load() {
+        const store = stores.get(this.key);
+        return store ? JSON.parse(JSON.stringify(store.documents)) : [];
+    }
+
+    async save(documents) {
+        const store = stores.get(this.key) || { documents: [], revision: 0 };
+        store.documents = JSON.parse(JSON.stringify(documents));
+        store.revision++;
+        stores.set(this.key, store);
+    }
+
+    async getStamp() {
+        const store = stores.get(this.key);
+        return store ? `rev:${store.revision}` : null;
+    }
+
+    async close() {}
+
+    static async listCollections(dbPath) {
+        const prefix = `memory:${dbPath}:`;
+        return [...stores.keys()].filter(key => key.startsWith(prefix)).map(key => key.slice(prefix.length));
+    }
+
+    static reset(key) {
+        if (key) {
+            stores.delete(key);
+        } else {
+            stores.clear();
+        }
+    }
+}
+
+module.exports = MemoryAdapter;
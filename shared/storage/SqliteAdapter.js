@@ -0,0 +1,164 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { listFiles, readJsonArray } = require('./fileUtils');
+
+const connections = new Map();
+const revisions = new Map();
+
+function openDatabase(filePath, readonly = false) {
+    const key = readonly ? `${filePath}:readonly` : filePath;
+    if (connections.has(key)) {
+        const connection = connections.get(key);
+        connection.refs++;
+        return connection.db;
+    }
+
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('Adaptador SQLite requer o pacote "better-sqlite3" (npm install better-sqlite3)');
+    }
+
+    const db = new Database(filePath, { readonly, fileMustExist: readonly });
+    if (!readonly) db.pragma('journal_mode = WAL');
+    connections.set(key, { db, refs: 1 });
+    return db;
+}
+
+function releaseDatabase(filePath, readonly = false) {
+    const key = readonly ? `${filePath}:readonly` : filePath;
+    const connection = connections.get(key);
+    if (!connection) return;
+    connection.refs--;
+    if (connection.refs === 0) {
+        connection.db.close();
+        connections.delete(key);
+    }
+}
+
+class SqliteAdapter {
+    constructor({ dbPath, collectionName, sqliteFile = 'database.sqlite', readonly = false }) {
+        this.type = 'sqlite';
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.filePath = path.join(dbPath, sqliteFile);
+        this.legacyPath = path.join(dbPath, `${collectionName}.json`);
+        this.table = `"${collectionName.replace(/"/g, '""')}"`;
+        this.key = `${this.filePath}#${collectionName}`;
+        this.readonly = readonly;
+        this.db = null;
+        this.ready = null;
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = this.open();
+        }
+        return this.ready;
+    }
+
+    async open() {
+        if (this.readonly) return this.openReadOnly();
+        await fs.ensureDir(this.dbPath);
+        this.db = openDatabase(this.filePath);
+        this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (
+            seq INTEGER PRIMARY KEY AUTOINCREMENT,
+            id TEXT NOT NULL UNIQUE,
+            data TEXT NOT NULL
+        )`);
+
+        this.statements = {
+            selectAll: this.db.prepare(`SELECT data FROM ${this.table} ORDER BY seq`),
+            count: this.db.prepare(`SELECT COUNT(*) AS total FROM ${this.table}`),
+            insert: this.db.prepare(`INSERT INTO ${this.table} (id, data) VALUES (?, ?)`),
+            update: this.db.prepare(`UPDATE ${this.table} SET data = ? WHERE id = ?`),
+            remove: this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`),
+            clear: this.db.prepare(`DELETE FROM ${this.table}`)
+        };
+
+        if (this.statements.count.get().total === 0) {
+            const legacyDocuments = await readJsonArray(this.legacyPath, this.collectionName);
+            if (legacyDocuments.length > 0) {
+                this.write(legacyDocuments);
+                console.log(`Coleção ${this.collectionName}: ${legacyDocuments.length} documentos importados de ${path.basename(this.legacyPath)}`);
+            }
+        }
+    }
+
+    async openReadOnly() {
+        if (!await fs.pathExists(this.filePath)) return;
+        this.db = openDatabase(this.filePath, true);
+        const table = this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(this.collectionName);
+        if (table) {
+            this.statements = { selectAll: this.db.prepare(`SELECT data FROM ${this.table} ORDER BY seq`) };
+        }
+    }
+
+    async load() {
+        await this.init();
+        if (!this.statements) return readJsonArray(this.legacyPath, this.collectionName);
+        return this.statements.selectAll.all().map(row => JSON.parse(row.data));
+    }
+
+    async save(documents, changes) {
+        if (this.readonly) {
+            throw new Error(`Coleção ${this.collectionName} aberta somente para leitura`);
+        }
+        await this.init();
+        this.write(documents, changes);
+    }
+
+    write(documents, changes) {
+        const apply = this.db.transaction(() => {
+            if (!changes) {
+                this.statements.clear.run();
+                documents.forEach(doc => this.statements.insert.run(doc.id, JSON.stringify(doc)));
+                return;
+            }
+            for (const change of changes) {
+                if (change.op === 'insert') {
+                    this.statements.insert.run(change.document.id, JSON.stringify(change.document));
+                } else if (change.op === 'update') {
+                    this.statements.update.run(JSON.stringify(change.document), change.document.id);
+                } else if (change.op === 'delete') {
+                    this.statements.remove.run(change.id);
+                }
+            }
+        });
+        apply();
+        revisions.set(this.key, (revisions.get(this.key) || 0) + 1);
+    }
+
+    async getStamp() {
+        if (this.readonly) await this.init();
+        if (!this.db) return null;
+        return `${this.db.pragma('data_version', { simple: true })}:${revisions.get(this.key) || 0}`;
+    }
+
+    async close() {
+        if (!this.db) return;
+        this.db = null;
+        this.ready = null;
+        this.statements = null;
+        releaseDatabase(this.filePath, this.readonly);
+    }
+
+    static async listCollections(dbPath, { sqliteFile = 'database.sqlite' } = {}) {
+        const filePath = path.join(dbPath, sqliteFile);
+        const legacy = await listFiles(dbPath, '.json', ['_index.json']);
+        if (!await fs.pathExists(filePath)) return legacy;
+
+        const db = openDatabase(filePath, true);
+        try {
+            const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")
+                .all()
+                .map(row => row.name);
+            return [...new Set([...tables, ...legacy])];
+        } finally {
+            releaseDatabase(filePath, true);
+        }
+    }
+}
+
+module.exports = SqliteAdapter;
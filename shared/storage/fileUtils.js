@@ -0,0 +1,99 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+async function writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+        await handle.writeFile(content, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+}
+
+function writeFileAtomicSync(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeFileSync(fd, content, 'utf8');
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+}
+
+async function appendFileDurable(filePath, content) {
+    const handle = await fs.promises.open(filePath, 'a');
+    try {
+        await handle.writeFile(content, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+}
+
+async function getFileStamp(filePath) {
+    try {
+        const stats = await fs.stat(filePath);
+        return `${stats.ino}:${stats.mtimeMs}:${stats.size}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+function watchFile(filePath, onChange) {
+    const fileName = path.basename(filePath);
+    const watcher = fs.watch(path.dirname(filePath), (eventType, changedFile) => {
+        if (changedFile && changedFile !== fileName) return;
+        onChange();
+    });
+    watcher.unref();
+    return watcher;
+}
+
+async function listFiles(dirPath, suffix, exclude = []) {
+    let files;
+    try {
+        files = await fs.readdir(dirPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return files
+        .filter(file => file.endsWith(suffix) && !exclude.some(excluded => file.endsWith(excluded)))
+        .map(file => file.slice(0, -suffix.length));
+}
+
+async function readJsonArray(filePath, collectionName) {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    let documents;
+    try {
+        documents = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Arquivo da coleção ${collectionName} corrompido (${filePath}): ${error.message}`);
+    }
+    if (!Array.isArray(documents)) {
+        throw new Error(`Arquivo da coleção ${collectionName} corrompido (${filePath}): conteúdo não é um array`);
+    }
+    return documents;
+}
+
+module.exports = {
+    writeFileAtomic,
+    writeFileAtomicSync,
+    appendFileDurable,
+    getFileStamp,
+    watchFile,
+    listFiles,
+    readJsonArray
+};
@@ -0,0 +1,43 @@
+const JsonFileAdapter = require('./JsonFileAdapter');
+const JsonLinesAdapter = require('./JsonLinesAdapter');
+const MemoryAdapter = require('./MemoryAdapter');
+const SqliteAdapter = require('./SqliteAdapter');
+
+const adapters = {
+    json: JsonFileAdapter,
+    jsonl: JsonLinesAdapter,
+    memory: MemoryAdapter,
+    sqlite: SqliteAdapter
+};
+
+function createAdapter(adapter, options) {
+    if (adapter && typeof adapter === 'object') {
+        return adapter;
+    }
+
+    const AdapterClass = resolveAdapterClass(adapter);
+    return new AdapterClass(options);
+}
+
+function resolveAdapterClass(adapter) {
+    const type = (adapter || 'json').toLowerCase();
+    const AdapterClass = adapters[type];
+    if (!AdapterClass) {
+        throw new Error(`Adaptador de armazenamento desconhecido: ${adapter} (disponíveis: ${Object.keys(adapters).join(', ')})`);
+    }
+    return AdapterClass;
+}
+
+async function listCollections(adapter, dbPath, options = {}) {
+    const collections = await resolveAdapterClass(adapter).listCollections(dbPath, options);
+    return collections.sort();
+}
+
+module.exports = {
+    createAdapter,
+    listCollections,
+    JsonFileAdapter,
+    JsonLinesAdapter,
+    MemoryAdapter,
+    SqliteAdapter
+};
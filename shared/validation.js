@@ -0,0 +1,120 @@
+const FORMATS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/
+};
+
+class ValidationError extends Error {
+    constructor(collectionName, errors) {
+        super(`Documento inválido para a coleção ${collectionName}: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+        this.name = 'ValidationError';
+        this.code = 'VALIDATION_FAILED';
+        this.collectionName = collectionName;
+        this.errors = errors;
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') {
+        if (Number.isNaN(value) || !Number.isFinite(value)) return 'invalid-number';
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+function matchesType(value, expected) {
+    const actual = typeOf(value);
+    return [].concat(expected).some(type => actual === type || (type === 'number' && actual === 'integer'));
+}
+
+function validateValue(schema, value, field, errors) {
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push({ field, rule: 'type', message: `deve ser do tipo ${[].concat(schema.type).join(' ou ')}` });
+        return;
+    }
+    if (value === null) return;
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field, rule: 'enum', message: `deve ser um dos valores: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field, rule: 'minimum', message: `deve ser maior ou igual a ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field, rule: 'maximum', message: `deve ser menor ou igual a ${schema.maximum}` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ field, rule: 'exclusiveMinimum', message: `deve ser maior que ${schema.exclusiveMinimum}` });
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push({ field, rule: 'exclusiveMaximum', message: `deve ser menor que ${schema.exclusiveMaximum}` });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ field, rule: 'minLength', message: `deve ter pelo menos ${schema.minLength} caracteres` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ field, rule: 'maxLength', message: `deve ter no máximo ${schema.maxLength} caracteres` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field, rule: 'pattern', message: `não corresponde ao padrão ${schema.pattern}` });
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+            errors.push({ field, rule: 'format', message: `deve estar no formato ${schema.format}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ field, rule: 'minItems', message: `deve ter pelo menos ${schema.minItems} itens` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ field, rule: 'maxItems', message: `deve ter no máximo ${schema.maxItems} itens` });
+        }
+        if (schema.items) {
+            value.forEach((item, position) => validateValue(schema.items, item, `${field}[${position}]`, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        validateObject(schema, value, field, errors);
+    }
+}
+
+function validateObject(schema, value, prefix, errors) {
+    const fieldName = key => (prefix ? `${prefix}.${key}` : key);
+
+    (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+            errors.push({ field: fieldName(key), rule: 'required', message: 'é obrigatório' });
+        }
+    });
+
+    Object.entries(value).forEach(([key, propertyValue]) => {
+        const propertySchema = schema.properties && schema.properties[key];
+        if (propertySchema) {
+            if (propertyValue !== undefined) {
+                validateValue(propertySchema, propertyValue, fieldName(key), errors);
+            }
+        } else if (schema.additionalProperties === false) {
+            errors.push({ field: fieldName(key), rule: 'additionalProperties', message: 'não é permitido' });
+        }
+    });
+}
+
+function validateDocument(schema, document) {
+    const errors = [];
+    validateValue({ type: 'object', ...schema }, document, '', errors);
+    return errors.map(error => ({ ...error, field: error.field || '(documento)' }));
+}
+
+module.exports = {
+    ValidationError,
+    validateDocument
+};
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createRequire } = require('module');
+const Authenticator = require('../api-gateway/Authenticator');
+
+const jwt = createRequire(require.resolve('../api-gateway/Authenticator'))('jsonwebtoken');
+const { AuthenticationError } = Authenticator;
+
+const SECRET = 'segredo-de-teste';
+const NOW = Math.floor(Date.now() / 1000) * 1000;
+const seconds = ms => Math.floor(ms / 1000);
+
+function createAuthenticator() {
+    return new Authenticator({ secret: SECRET });
+}
+
+function bearer(payload, options = {}) {
+    return `Bearer ${jwt.sign({ id: 'u1', username: 'maria', role: 'user', jti: 't1', iat: seconds(NOW), ...payload }, SECRET, { expiresIn: '1h', ...options })}`;
+}
+
+function revocation(fields) {
+    return {
+        userId: 'u1',
+        revokedAt: new Date(NOW).toISOString(),
+        expiresAt: new Date(NOW + 3600000).toISOString(),
+        ...fields
+    };
+}
+
+function rejection(message) {
+    return error => error instanceof AuthenticationError && error.message === message;
+}
+
+test('token válido é autenticado e reaproveitado do cache', () => {
+    const authenticator = createAuthenticator();
+    const header = bearer();
+
+    const user = authenticator.authenticate(header, NOW);
+    assert.deepStrictEqual(
+        { id: user.id, role: user.role, tokenId: user.tokenId, issuedAt: user.issuedAt },
+        { id: 'u1', role: 'user', tokenId: 't1', issuedAt: seconds(NOW) }
+    );
+    authenticator.authenticate(header, NOW);
+    assert.deepStrictEqual(authenticator.describe().cache, { size: 1, maxSize: 1000, ttl: 60000, hits: 1, misses: 1 });
+});
+
+test('tokens inválidos, expirados ou sem papel são recusados', () => {
+    const authenticator = createAuthenticator();
+    const forged = `Bearer ${jwt.sign({ id: 'u1', role: 'admin' }, 'outro-segredo')}`;
+    const expired = bearer({ iat: seconds(NOW) - 7200 });
+
+    assert.throws(() => authenticator.authenticate(undefined), rejection('Token obrigatório'));
+    assert.throws(() => authenticator.authenticate(forged), rejection('Token inválido'));
+    assert.throws(() => authenticator.authenticate(expired), rejection('Token expirado'));
+    assert.throws(() => authenticator.authenticate(bearer({ role: undefined })), rejection('Token sem identidade do usuário'));
+});
+
+test('revogação de um token vale mesmo para a entrada em cache', () => {
+    const authenticator = createAuthenticator();
+    const header = bearer();
+    authenticator.authenticate(header, NOW);
+
+    assert.strictEqual(authenticator.applyRevocations([revocation({ type: 'token', tokenId: 't1' })], NOW), 1);
+    assert.throws(() => authenticator.authenticate(header, NOW), rejection('Token revogado'));
+    assert.ok(authenticator.authenticate(bearer({ jti: 't2' }), NOW));
+});
+
+test('revogação do usuário recusa apenas tokens emitidos antes do segundo revogado', () => {
+    const authenticator = createAuthenticator();
+    const older = bearer({ jti: 'antigo', iat: seconds(NOW) - 60 });
+    const sameSecond = bearer({ jti: 'mesmo-segundo' });
+    const newer = bearer({ jti: 'novo', iat: seconds(NOW) + 1 });
+    authenticator.authenticate(older, NOW);
+
+    authenticator.applyRevocations([revocation({ type: 'user' })], NOW);
+    assert.throws(() => authenticator.authenticate(older, NOW), rejection('Token revogado'));
+    assert.ok(authenticator.authenticate(sameSecond, NOW));
+    assert.ok(authenticator.authenticate(newer, NOW));
+});
+
+test('revogação com issuedBefore inclui as sessões emitidas no mesmo segundo', () => {
+    const authenticator = createAuthenticator();
+    authenticator.applyRevocations([revocation({ type: 'user', issuedBefore: new Date(NOW + 1000).toISOString() })], NOW);
+
+    assert.throws(() => authenticator.authenticate(bearer(), NOW), rejection('Token revogado'));
+    assert.ok(authenticator.authenticate(bearer({ jti: 'novo', iat: seconds(NOW) + 1 }), NOW));
+});
+
+test('sincronização avança o cursor e descarta revogações expiradas', () => {
+    const authenticator = createAuthenticator();
+    const later = new Date(NOW + 5000).toISOString();
+    authenticator.applyRevocations([
+        revocation({ type: 'token', tokenId: 't1' }),
+        revocation({ type: 'user', userId: 'u2', revokedAt: later })
+    ], NOW);
+    assert.strictEqual(authenticator.since, later);
+    assert.strictEqual(authenticator.applyRevocations([revocation({ type: 'token', tokenId: 't1' })], NOW), 0);
+
+    authenticator.applyRevocations([], NOW + 3600000);
+    assert.deepStrictEqual(
+        { tokens: authenticator.revokedTokens.size, users: authenticator.revokedUsers.size },
+        { tokens: 0, users: 0 }
+    );
+});
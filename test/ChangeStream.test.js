@@ -0,0 +1,116 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../shared/JsonDatabase');
+const { ChangeHistoryError } = require('../shared/ChangeStream');
+
+let dbPath;
+let db;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'changes-'));
+    db = new JsonDatabase(dbPath, 'items', { journal: false, compactInterval: 0, changeHistory: 3 });
+});
+
+afterEach(async () => {
+    await db.close();
+    await fs.remove(dbPath);
+});
+
+function collect(stream, count, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        const timer = setTimeout(() => reject(new Error(`Recebidos ${events.length} de ${count} eventos`)), timeout);
+        stream.on('change', event => {
+            events.push(event);
+            if (events.length === count) {
+                clearTimeout(timer);
+                resolve(events);
+            }
+        });
+    });
+}
+
+function summary(events) {
+    return events.map(event => `${event.sequence}:${event.operationType}:${event.documentId}`);
+}
+
+test('stream recebe inserções, alterações e remoções com o documento antes e depois', async () => {
+    const stream = db.watch();
+    const received = collect(stream, 3);
+
+    await db.create({ id: 'arroz', name: 'Arroz', price: 5 });
+    await db.update('arroz', { price: 6 });
+    await db.delete('arroz');
+    const [inserted, updated, deleted] = await received;
+    stream.close();
+
+    assert.deepStrictEqual(summary([inserted, updated, deleted]), ['1:insert:arroz', '2:update:arroz', '3:delete:arroz']);
+    assert.strictEqual(inserted.collection, 'items');
+    assert.strictEqual(inserted.before, null);
+    assert.deepStrictEqual([updated.before.price, updated.after.price], [5, 6]);
+    assert.strictEqual(deleted.after, null);
+    assert.strictEqual(deleted.before.price, 6);
+    assert.strictEqual(stream.resumeToken, 3);
+});
+
+test('filtro e operações limitam os eventos entregues', async () => {
+    const stream = db.watch({ category: 'Doces' }, { operations: ['insert', 'delete'] });
+    const received = collect(stream, 2);
+
+    await db.create({ id: 'arroz', category: 'Alimentos' });
+    await db.create({ id: 'bala', category: 'Doces' });
+    await db.update('bala', { price: 1 });
+    await db.delete('bala');
+
+    assert.deepStrictEqual(summary(await received), ['2:insert:bala', '4:delete:bala']);
+    stream.close();
+});
+
+test('retomar a partir do token entrega apenas os eventos perdidos', async () => {
+    const first = db.watch();
+    const initial = collect(first, 1);
+    await db.create({ id: 'a' });
+    const token = (await initial)[0].sequence;
+    first.close();
+
+    await db.create({ id: 'b' });
+    await db.create({ id: 'c' });
+
+    const resumed = db.watch({}, { resumeAfter: token });
+    assert.deepStrictEqual(summary(await collect(resumed, 2)), [`${token + 1}:insert:b`, `${token + 2}:insert:c`]);
+    resumed.close();
+});
+
+test('token mais antigo que o histórico guardado é recusado', async () => {
+    await db.insertMany([{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }]);
+    assert.ok(db.getChangeSequence() >= 4);
+
+    const stream = db.watch({}, { resumeAfter: 0 });
+    const error = await new Promise(resolve => stream.once('error', resolve));
+    assert.ok(error instanceof ChangeHistoryError);
+    assert.strictEqual(error.code, 'CHANGE_HISTORY_LOST');
+    assert.strictEqual(error.resumeAfter, 0);
+    assert.strictEqual(stream.closed, true);
+});
+
+test('alterações feitas diretamente no arquivo geram eventos', async () => {
+    await db.create({ id: 'a', name: 'Antes' });
+    const stream = db.watch();
+    const received = collect(stream, 2);
+    await db.find();
+
+    const file = path.join(dbPath, 'items.json');
+    const documents = await fs.readJson(file);
+    await fs.writeJson(file, [
+        { ...documents[0], name: 'Depois', _version: 2, updatedAt: new Date(Date.now() + 1000).toISOString() },
+        { id: 'b', name: 'Novo', _version: 1 }
+    ]);
+
+    const events = await received;
+    stream.close();
+    assert.deepStrictEqual(events.map(event => `${event.operationType}:${event.documentId}`).sort(), ['insert:b', 'update:a']);
+    assert.strictEqual(events.find(event => event.documentId === 'a').after.name, 'Depois');
+});
@@ -0,0 +1,71 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+const FileRegistry = require('../shared/registry/FileRegistry');
+
+const REGISTER_MANY = `
+const FileRegistry = require(process.argv[1]);
+const registry = new FileRegistry(process.argv[2]);
+(async () => {
+    for (let i = 0; i < 15; i++) {
+        await registry.register('item-service', { url: 'http://localhost:' + (4000 + i), pid: 1 });
+    }
+})();
+`;
+
+let dirPath;
+let registryFile;
+
+beforeEach(async () => {
+    dirPath = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-'));
+    registryFile = path.join(dirPath, 'services-registry.json');
+});
+
+afterEach(async () => {
+    await fs.remove(dirPath);
+});
+
+test('arquivo só é criado na primeira gravação', async () => {
+    const registry = new FileRegistry(registryFile);
+    assert.deepStrictEqual(await registry.services(), {});
+    assert.deepStrictEqual(registry.reconcile(), []);
+    assert.deepStrictEqual(registry.removeByPid(process.pid), []);
+    assert.strictEqual(await fs.pathExists(registryFile), false);
+
+    await registry.register('item-service', { url: 'http://localhost:3002', pid: process.pid });
+    assert.strictEqual(await fs.pathExists(registryFile), true);
+    assert.strictEqual((await registry.instances('item-service')).length, 1);
+});
+
+test('registros simultâneos de processos diferentes não se sobrescrevem', async () => {
+    const run = promisify(execFile);
+    await Promise.all(Array.from({ length: 4 }, () =>
+        run(process.execPath, ['-e', REGISTER_MANY, require.resolve('../shared/registry/FileRegistry'), registryFile], { timeout: 30000 })));
+
+    const registry = new FileRegistry(registryFile);
+    assert.strictEqual((await registry.instances('item-service')).length, 60);
+    assert.strictEqual(await fs.pathExists(registry.lockPath), false);
+});
+
+test('lock deixado por processo encerrado é descartado', async () => {
+    const registry = new FileRegistry(registryFile);
+    await fs.writeFile(registry.lockPath, '999999999');
+
+    await registry.register('item-service', { url: 'http://localhost:3002', pid: process.pid });
+    assert.strictEqual((await registry.instances('item-service')).length, 1);
+    assert.strictEqual(await fs.pathExists(registry.lockPath), false);
+});
+
+test('reconcile remove do arquivo instâncias de processos encerrados', async () => {
+    const registry = new FileRegistry(registryFile);
+    await registry.register('item-service', { url: 'http://localhost:3002', pid: process.pid });
+    await registry.register('item-service', { url: 'http://localhost:3012', pid: 999999999 });
+
+    assert.deepStrictEqual(registry.reconcile().map(instance => instance.pid), [999999999]);
+    const reloaded = new FileRegistry(registryFile);
+    assert.deepStrictEqual((await reloaded.instances('item-service')).map(instance => instance.pid), [process.pid]);
+});
@@ -0,0 +1,88 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const HealthChecker = require('../shared/registry/HealthChecker');
+
+const OK = { ok: true, reason: null };
+const FAILURE = { ok: false, reason: 'HTTP 500' };
+const INSTANCE = { id: 'item-a', service: 'item-service' };
+
+let server;
+let baseUrl;
+let responses;
+
+beforeEach(async () => {
+    responses = {};
+    server = http.createServer((req, res) => {
+        const { statusCode, body } = responses[req.url] || { statusCode: 404, body: {} };
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('evaluate considera o status HTTP, o status informado e o banco', () => {
+    assert.strictEqual(HealthChecker.evaluate(200, { status: 'healthy', database: { status: 'up' } }).ok, true);
+    assert.strictEqual(HealthChecker.evaluate(503, { error: 'indisponível' }).reason, 'indisponível');
+    assert.strictEqual(HealthChecker.evaluate(500).reason, 'HTTP 500');
+    assert.strictEqual(HealthChecker.evaluate(200, { status: 'degraded' }).reason, 'status degraded');
+    assert.strictEqual(HealthChecker.evaluate(200, { status: 'healthy', database: { status: 'down' } }).reason, 'database down');
+});
+
+test('instância só fica unhealthy após o limite de falhas consecutivas', () => {
+    const checker = new HealthChecker({ unhealthyThreshold: 3 });
+
+    checker.record(INSTANCE, FAILURE, 'active');
+    checker.record(INSTANCE, FAILURE, 'active');
+    checker.record(INSTANCE, OK, 'active');
+    checker.record(INSTANCE, FAILURE, 'passive');
+    assert.strictEqual(checker.describe(INSTANCE).healthy, true);
+    assert.strictEqual(checker.record(INSTANCE, FAILURE, 'active').changed, false);
+
+    const state = checker.record(INSTANCE, FAILURE, 'active');
+    assert.strictEqual(state.changed, true);
+    assert.strictEqual(state.healthy, false);
+    assert.strictEqual(checker.describe(INSTANCE).lastResult.source, 'active');
+    assert.strictEqual(checker.record(INSTANCE, FAILURE, 'active').changed, false);
+});
+
+test('instância volta a healthy após o limite de sucessos consecutivos', () => {
+    const checker = new HealthChecker({ healthyThreshold: 2 });
+    const instance = { ...INSTANCE, checkedHealthy: false };
+
+    assert.strictEqual(checker.record(instance, OK, 'active').healthy, false);
+    checker.record(instance, FAILURE, 'active');
+    assert.strictEqual(checker.record(instance, OK, 'active').healthy, false);
+
+    const state = checker.record(instance, OK, 'active');
+    assert.strictEqual(state.changed, true);
+    assert.strictEqual(state.healthy, true);
+});
+
+test('checkAll verifica as instâncias e informa cada resultado', async () => {
+    responses['/health'] = { statusCode: 200, body: { status: 'healthy', database: { status: 'up' } } };
+    responses['/down/health'] = { statusCode: 200, body: { status: 'healthy', database: { status: 'down' } } };
+    const checker = new HealthChecker({ unhealthyThreshold: 1, concurrency: 2 });
+    const instances = [
+        { id: 'a', service: 'item-service', url: baseUrl },
+        { id: 'b', service: 'item-service', url: `${baseUrl}/down` },
+        { id: 'c', service: 'item-service', url: 'http://127.0.0.1:1' }
+    ];
+    const results = {};
+
+    await checker.checkAll(instances, (instance, state) => {
+        results[instance.id] = { healthy: state.healthy, reason: state.lastResult.reason };
+    });
+
+    assert.deepStrictEqual(results.a, { healthy: true, reason: null });
+    assert.deepStrictEqual(results.b, { healthy: false, reason: 'database down' });
+    assert.deepStrictEqual(results.c, { healthy: false, reason: 'ECONNREFUSED' });
+
+    checker.prune(instances.slice(0, 1));
+    assert.deepStrictEqual([...checker.states.keys()], ['item-service/a']);
+});
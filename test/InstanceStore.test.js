@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const InstanceStore = require('../shared/registry/InstanceStore');
+
+function createStore(options = {}) {
+    return new InstanceStore({}, { leaseTtl: 1000, evictionDelay: 500, ...options });
+}
+
+test('um serviço pode ter várias instâncias registradas', () => {
+    const store = createStore();
+    const first = store.register('item-service', { url: 'http://localhost:3002', pid: 10 });
+    const second = store.register('item-service', { url: 'http://localhost:3012', pid: 11 });
+    store.register('list-service', { url: 'http://localhost:3003', pid: 12 });
+
+    assert.notStrictEqual(first.id, second.id);
+    assert.deepStrictEqual(store.instances('item-service').map(instance => instance.url), ['http://localhost:3002', 'http://localhost:3012']);
+    assert.deepStrictEqual(Object.keys(store.snapshot()), ['item-service', 'list-service']);
+});
+
+test('registrar de novo com o mesmo instanceId atualiza a instância existente', () => {
+    const store = createStore();
+    const first = store.register('item-service', { url: 'http://localhost:3002', instanceId: 'item-a' });
+    const again = store.register('item-service', { url: 'http://localhost:3022', instanceId: 'item-a' });
+
+    assert.strictEqual(again.id, 'item-a');
+    assert.strictEqual(again.registeredAt, first.registeredAt);
+    assert.deepStrictEqual(store.instances('item-service').map(instance => instance.url), ['http://localhost:3022']);
+});
+
+test('remover a última instância remove o serviço e publica os eventos', () => {
+    const store = createStore();
+    const events = [];
+    store.on('change', event => events.push(`${event.type}:${event.instance.id}`));
+
+    store.register('item-service', { url: 'http://localhost:3002', instanceId: 'item-a' });
+    assert.strictEqual(store.unregister('item-service', 'item-a'), true);
+    assert.strictEqual(store.unregister('item-service', 'item-a'), false);
+
+    assert.deepStrictEqual(store.snapshot(), {});
+    assert.deepStrictEqual(events, ['register:item-a', 'unregister:item-a']);
+});
+
+test('formato antigo com uma instância por serviço é carregado', () => {
+    const registeredAt = Date.now();
+    const store = new InstanceStore({
+        'user-service': { url: 'http://localhost:3001', pid: 42, registeredAt }
+    });
+
+    const [instance] = store.instances('user-service');
+    assert.strictEqual(instance.id, 'user-service-42');
+    assert.strictEqual(instance.url, 'http://localhost:3001');
+    assert.strictEqual(instance.lastHeartbeat, registeredAt);
+    assert.deepStrictEqual(new InstanceStore(store.toJSON()).instances('user-service'), [instance]);
+});
+
+test('instância sem heartbeat perde o lease e é removida após o atraso de remoção', () => {
+    const store = createStore();
+    const instance = store.register('item-service', { url: 'http://localhost:3002', instanceId: 'item-a' });
+    const expiresAt = instance.leaseExpiresAt;
+
+    assert.deepStrictEqual(store.expireLeases(expiresAt), { expired: [], evicted: [] });
+
+    const { expired, evicted } = store.expireLeases(expiresAt + 1);
+    assert.deepStrictEqual(expired.map(item => item.id), ['item-a']);
+    assert.deepStrictEqual(evicted, []);
+    assert.strictEqual(store.get('item-service', 'item-a').healthy, false);
+
+    assert.deepStrictEqual(store.expireLeases(expiresAt + 500).evicted, []);
+    assert.deepStrictEqual(store.expireLeases(expiresAt + 501).evicted.map(item => item.id), ['item-a']);
+    assert.deepStrictEqual(store.instances('item-service'), []);
+});
+
+test('heartbeat renova o lease e devolve a saúde à instância', () => {
+    const store = createStore();
+    const instance = store.register('item-service', { url: 'http://localhost:3002', instanceId: 'item-a', leaseTtl: 50 });
+    store.expireLeases(instance.leaseExpiresAt + 1);
+
+    const renewed = store.heartbeat('item-service', 'item-a');
+    assert.strictEqual(renewed.healthy, true);
+    assert.ok(renewed.leaseExpiresAt >= instance.leaseExpiresAt);
+    assert.strictEqual(store.heartbeat('item-service', 'item-a', false).healthy, false);
+    assert.strictEqual(store.heartbeat('item-service', 'desconhecida'), null);
+});
+
+test('instâncias de processos encerrados no mesmo host são removidas', () => {
+    const store = createStore();
+    store.register('item-service', { url: 'http://localhost:3002', instanceId: 'vivo', pid: 100, host: 'maquina' });
+    store.register('item-service', { url: 'http://localhost:3012', instanceId: 'morto', pid: 200, host: 'maquina' });
+    store.register('item-service', { url: 'http://outro:3002', instanceId: 'remoto', pid: 200, host: 'outra-maquina' });
+    store.register('item-service', { url: 'http://localhost:3022', instanceId: 'atual', pid: process.pid, host: 'maquina' });
+
+    const removed = store.removeDeadProcesses('maquina', pid => pid !== 200);
+    assert.deepStrictEqual(removed.map(instance => instance.id), ['morto']);
+    assert.deepStrictEqual(store.instances('item-service').map(instance => instance.id), ['vivo', 'remoto', 'atual']);
+});
+
+test('isProcessAlive reconhece o processo atual e um PID inexistente', () => {
+    assert.strictEqual(InstanceStore.isProcessAlive(process.pid), true);
+    assert.strictEqual(InstanceStore.isProcessAlive(999999999), false);
+});
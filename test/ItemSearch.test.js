@@ -0,0 +1,114 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../shared/JsonDatabase');
+const { TextIndex, analyze, editDistance } = require('../shared/TextIndex');
+const ItemService = require('../services/item-service/server');
+
+const ITEMS = [
+    { id: 'arroz', name: 'Arroz Branco', brand: 'Tio João', category: 'Alimentos', active: true },
+    { id: 'arroz-integral', name: 'Arroz Integral', brand: 'Camil', category: 'Alimentos', active: true },
+    { id: 'azeite', name: 'Azeite Extra Virgem', category: 'Alimentos', active: true },
+    { id: 'chocolate', name: 'Chocolate ao Leite', category: 'Doces', active: true },
+    { id: 'arroz-velho', name: 'Arroz Parboilizado', category: 'Alimentos', active: false }
+];
+
+let dbPath;
+let service;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'item-search-'));
+    service = Object.create(ItemService.prototype);
+    service.itemsDb = new JsonDatabase(dbPath, 'items', {
+        journal: false,
+        compactInterval: 0,
+        textIndex: {
+            fields: ['name', 'brand', 'description', 'category'],
+            weights: { name: 3, brand: 2 },
+            completion: ['name']
+        }
+    });
+    service.popularity = { counts: { 'arroz-integral': 7, arroz: 2 }, fetchedAt: Date.now() };
+    service.popularityTtl = 60000;
+    await service.itemsDb.insertMany(ITEMS);
+});
+
+afterEach(async () => {
+    await service.itemsDb.close();
+    await fs.remove(dbPath);
+});
+
+async function call(handler, query) {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    await service[handler]({ query }, res);
+    return res;
+}
+
+test('distância de edição conta transposições e respeita o limite', () => {
+    assert.strictEqual(editDistance('arroz', 'arroz', 1), 0);
+    assert.strictEqual(editDistance('aroz', 'arroz', 1), 1);
+    assert.strictEqual(editDistance('arorz', 'arroz', 1), 1);
+    assert.strictEqual(editDistance('chocolate', 'xocolate', 2), 2);
+    assert.strictEqual(editDistance('feijao', 'arroz', 2), 3);
+});
+
+test('busca tolerante a erros só expande termos que não existem no índice', () => {
+    const index = new TextIndex({ fields: ['name'] });
+    index.rebuild(ITEMS, null);
+
+    assert.deepStrictEqual([...index.score(analyze('aroz')).scores.keys()], []);
+    assert.deepStrictEqual([...index.score(analyze('aroz'), { fuzzy: true }).scores.keys()].sort(), ['arroz', 'arroz-integral', 'arroz-velho']);
+    assert.deepStrictEqual([...index.score(analyze('xocolate'), { fuzzy: true }).scores.keys()], ['chocolate']);
+    assert.deepStrictEqual([...index.score(analyze('ari'), { fuzzy: true }).scores.keys()], []);
+
+    const exact = index.score(analyze('arroz'), { fuzzy: true }).scores.get('arroz');
+    const typo = index.score(analyze('aroz'), { fuzzy: true }).scores.get('arroz');
+    assert.ok(typo < exact);
+});
+
+test('GET /search devolve itens ativos com erros de digitação e aceita fuzzy=false', async () => {
+    const res = await call('searchItems', { q: 'aroz integrl' });
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.data.results[0].id, 'arroz-integral');
+    assert.deepStrictEqual(res.body.data.results.map(item => item.id).sort(), ['arroz', 'arroz-integral']);
+    assert.strictEqual(res.body.data.results[0].highlights.name, '<mark>Arroz</mark> <mark>Integral</mark>');
+
+    const strict = await call('searchItems', { q: 'aroz', fuzzy: 'false' });
+    assert.deepStrictEqual(strict.body.data.results, []);
+
+    const page = await call('searchItems', { q: 'arroz', limit: '1', fields: 'id,name' });
+    assert.deepStrictEqual(Object.keys(page.body.data.results[0]).sort(), ['highlights', 'id', 'name', 'score']);
+    assert.strictEqual(page.body.data.hasMore, true);
+
+    assert.strictEqual((await call('searchItems', {})).statusCode, 400);
+    assert.strictEqual((await call('searchItems', { q: 'arroz', cursor: 'invalido' })).statusCode, 400);
+});
+
+test('GET /items/suggest completa o prefixo e ordena pela popularidade', async () => {
+    const res = await call('suggestItems', { prefix: 'ar' });
+    assert.deepStrictEqual(res.body.data.suggestions.map(item => [item.id, item.popularity]), [
+        ['arroz-integral', 7],
+        ['arroz', 2]
+    ]);
+
+    const combined = await call('suggestItems', { prefix: 'arroz int' });
+    assert.deepStrictEqual(combined.body.data.suggestions.map(item => item.id), ['arroz-integral']);
+
+    const limited = await call('suggestItems', { prefix: 'a', limit: '2' });
+    assert.deepStrictEqual(limited.body.data.suggestions.map(item => item.id), ['arroz-integral', 'arroz']);
+
+    assert.strictEqual((await call('suggestItems', {})).statusCode, 400);
+});
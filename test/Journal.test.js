@@ -0,0 +1,106 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../shared/JsonDatabase');
+const { Journal, JournalRangeError } = require('../shared/Journal');
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+function open() {
+    return new JsonDatabase(dbPath, 'items', { journal: true, compactInterval: 0 });
+}
+
+function pause(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('transações pendentes no journal são reaplicadas ao abrir a coleção', async () => {
+    const db = open();
+    const existing = await db.create({ name: 'arroz' });
+    await db.close();
+
+    const journal = new Journal({ dbPath, collectionName: 'items' });
+    const inserted = { id: 'feijao', name: 'feijão', _version: 1 };
+    const updated = { ...existing, name: 'arroz integral', _version: 2 };
+    await journal.begin([{ op: 'insert', document: inserted }, { op: 'update', document: updated, before: existing }]);
+    assert.strictEqual((await journal.pending()).length, 1);
+
+    const reopened = open();
+    try {
+        assert.deepStrictEqual(await reopened.findById('feijao'), inserted);
+        assert.strictEqual((await reopened.findById(existing.id)).name, 'arroz integral');
+        assert.deepStrictEqual(await journal.pending(), []);
+    } finally {
+        await reopened.close();
+    }
+});
+
+test('entrada incompleta no fim do journal é descartada na recuperação', async () => {
+    const db = open();
+    await db.create({ name: 'arroz' });
+    await db.close();
+
+    await fs.appendFile(path.join(dbPath, 'items.journal.jsonl'), '{"type":"begin","tx":"incompleta"');
+
+    const reopened = open();
+    try {
+        assert.strictEqual(await reopened.count(), 1);
+        const content = await fs.readFile(path.join(dbPath, 'items.journal.jsonl'), 'utf8');
+        assert.ok(content.endsWith('\n'));
+        assert.ok(!content.includes('incompleta'));
+    } finally {
+        await reopened.close();
+    }
+});
+
+test('restoreToTimestamp simula e depois desfaz as alterações posteriores à data', async () => {
+    const db = open();
+    try {
+        const rice = await db.create({ name: 'arroz' });
+        const beans = await db.create({ name: 'feijão' });
+        await pause(10);
+        const target = new Date();
+        await pause(10);
+        await db.update(rice.id, { name: 'arroz integral' });
+        await db.delete(beans.id);
+        const pasta = await db.create({ name: 'macarrão' });
+
+        const { timestamp, ...simulation } = await db.restoreToTimestamp(target.toISOString(), { dryRun: true });
+        assert.strictEqual(timestamp, target.toISOString());
+        assert.deepStrictEqual(simulation, { collection: 'items', dryRun: true, revertedTransactions: 3, inserted: 1, updated: 1, deleted: 1 });
+        assert.strictEqual((await db.findById(rice.id)).name, 'arroz integral');
+        assert.strictEqual(await db.findById(beans.id), null);
+
+        const result = await db.restoreToTimestamp(target.toISOString());
+        assert.strictEqual(result.dryRun, false);
+
+        const restoredRice = await db.findById(rice.id);
+        assert.strictEqual(restoredRice.name, 'arroz');
+        assert.strictEqual(restoredRice._version, 3);
+        assert.deepStrictEqual(await db.findById(beans.id), beans);
+        assert.strictEqual(await db.findById(pasta.id), null);
+    } finally {
+        await db.close();
+    }
+});
+
+test('restoreToTimestamp recusa datas anteriores ao início do journal', async () => {
+    const db = open();
+    try {
+        await db.create({ name: 'arroz' });
+        await assert.rejects(db.restoreToTimestamp('2000-01-01T00:00:00.000Z'), JournalRangeError);
+        assert.strictEqual(await db.count(), 1);
+    } finally {
+        await db.close();
+    }
+});
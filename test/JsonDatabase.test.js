@@ -0,0 +1,102 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../shared/JsonDatabase');
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+function open(options = {}) {
+    return new JsonDatabase(dbPath, 'items', { journal: false, compactInterval: 0, ...options });
+}
+
+test('criações concorrentes em instâncias distintas da mesma coleção não se perdem', async () => {
+    const first = open();
+    const second = open({ cache: false });
+    try {
+        await Promise.all(Array.from({ length: 40 }, (_, i) => (i % 2 ? first : second).create({ name: `item-${i}` })));
+
+        const documents = await fs.readJson(path.join(dbPath, 'items.json'));
+        assert.strictEqual(documents.length, 40);
+        assert.strictEqual(new Set(documents.map(doc => doc.id)).size, 40);
+        assert.strictEqual((await first.find()).length, 40);
+    } finally {
+        await first.close();
+        await second.close();
+    }
+});
+
+test('atualizações concorrentes baseadas no documento atual são aplicadas em série', async () => {
+    const first = open();
+    const second = open();
+    try {
+        const { id } = await first.create({ counter: 0 });
+        await Promise.all(Array.from({ length: 30 }, (_, i) =>
+            (i % 2 ? first : second).update(id, doc => ({ counter: doc.counter + 1 }))));
+
+        const document = await second.findById(id);
+        assert.strictEqual(document.counter, 30);
+        assert.strictEqual(document._version, 31);
+    } finally {
+        await first.close();
+        await second.close();
+    }
+});
+
+test('leitura em cache reflete a escrita de outra instância sem esperar o fs.watch', async () => {
+    const reader = open();
+    const writer = open();
+    try {
+        const { id } = await writer.create({ name: 'arroz' });
+        assert.strictEqual((await reader.findById(id)).name, 'arroz');
+        reader.watcher.close();
+        for (let i = 0; i < 10; i++) {
+            await writer.update(id, { name: `arroz-${i}` });
+            assert.strictEqual((await reader.findById(id)).name, `arroz-${i}`);
+            assert.strictEqual((await reader.find({ name: `arroz-${i}` })).length, 1);
+        }
+    } finally {
+        await reader.close();
+        await writer.close();
+    }
+});
+
+test('falha em uma escrita não bloqueia as seguintes da fila', async () => {
+    const db = open();
+    try {
+        const { id } = await db.create({ name: 'original' });
+        const results = await Promise.allSettled([
+            db.update(id, () => { throw new Error('falha proposital'); }),
+            db.create({ name: 'seguinte' })
+        ]);
+
+        assert.strictEqual(results[0].status, 'rejected');
+        assert.strictEqual(results[1].status, 'fulfilled');
+        assert.strictEqual((await db.findById(id)).name, 'original');
+        assert.strictEqual(await db.count(), 2);
+    } finally {
+        await db.close();
+    }
+});
+
+test('arquivo da coleção é substituído atomicamente, sem temporários remanescentes', async () => {
+    const db = open();
+    try {
+        await Promise.all(Array.from({ length: 20 }, (_, i) => db.create({ name: `item-${i}` })));
+
+        const files = await fs.readdir(dbPath);
+        assert.deepStrictEqual(files.filter(file => file.endsWith('.tmp')), []);
+        assert.strictEqual((await fs.readJson(path.join(dbPath, 'items.json'))).length, 20);
+    } finally {
+        await db.close();
+    }
+});
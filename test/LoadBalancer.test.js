@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LoadBalancer = require('../api-gateway/LoadBalancer');
+
+const INSTANCES = [
+    { id: 'c', url: 'http://localhost:3022' },
+    { id: 'a', url: 'http://localhost:3002' },
+    { id: 'b', url: 'http://localhost:3012' }
+];
+
+function pickMany(balancer, instances, count, key) {
+    return Array.from({ length: count }, () => balancer.pick('item-service', instances, key).id);
+}
+
+function fail(balancer, instance, times) {
+    for (let i = 0; i < times; i++) balancer.begin('item-service', instance)({ success: false });
+}
+
+test('estratégias são configuradas por serviço e validadas', () => {
+    const strategies = LoadBalancer.parseStrategies('item-service=weighted, list-service = consistent-hash,invalida');
+    assert.deepStrictEqual(strategies, { 'item-service': 'weighted', 'list-service': 'consistent-hash' });
+
+    const balancer = new LoadBalancer({ strategies });
+    assert.strictEqual(balancer.strategyFor('item-service'), 'weighted');
+    assert.strictEqual(balancer.strategyFor('user-service'), 'round-robin');
+    assert.throws(() => new LoadBalancer({ strategy: 'random' }), /Estratégia de balanceamento desconhecida: random/);
+});
+
+test('round-robin alterna as instâncias em ordem de id', () => {
+    const balancer = new LoadBalancer();
+    assert.deepStrictEqual(pickMany(balancer, INSTANCES, 4), ['a', 'b', 'c', 'a']);
+    assert.strictEqual(balancer.pick('item-service', []), null);
+});
+
+test('least-outstanding escolhe a instância com menos requisições em andamento', () => {
+    const balancer = new LoadBalancer({ strategy: 'least-outstanding' });
+    const [c, a] = INSTANCES;
+
+    const finishA = balancer.begin('item-service', a);
+    balancer.begin('item-service', c);
+    assert.strictEqual(balancer.pick('item-service', INSTANCES).id, 'b');
+
+    balancer.begin('item-service', INSTANCES[2]);
+    finishA({ success: true });
+    assert.strictEqual(balancer.pick('item-service', INSTANCES).id, 'a');
+});
+
+test('weighted distribui proporcionalmente ao peso', () => {
+    const balancer = new LoadBalancer({ strategy: 'weighted' });
+    const instances = [{ id: 'a', weight: 3 }, { id: 'b', weight: 1 }];
+    const picks = pickMany(balancer, instances, 8);
+
+    assert.strictEqual(picks.filter(id => id === 'a').length, 6);
+    assert.strictEqual(picks.filter(id => id === 'b').length, 2);
+    assert.deepStrictEqual(picks.slice(0, 4), ['a', 'a', 'b', 'a']);
+});
+
+test('consistent-hash mantém a chave na mesma instância e move poucas chaves quando uma sai', () => {
+    const balancer = new LoadBalancer({ strategy: 'consistent-hash' });
+    const keys = Array.from({ length: 60 }, (value, i) => `usuario-${i}`);
+    const before = keys.map(key => balancer.pick('item-service', INSTANCES, key).id);
+
+    assert.deepStrictEqual(keys.map(key => balancer.pick('item-service', INSTANCES, key).id), before);
+    assert.ok(new Set(before).size > 1);
+
+    const remaining = INSTANCES.filter(instance => instance.id !== 'c');
+    const after = keys.map(key => balancer.pick('item-service', remaining, key).id);
+    keys.forEach((key, i) => {
+        if (before[i] !== 'c') assert.strictEqual(after[i], before[i]);
+    });
+    assert.deepStrictEqual(pickMany(balancer, INSTANCES, 2), ['a', 'b']);
+});
+
+test('falhas consecutivas ejetam a instância e sucessos zeram o contador', () => {
+    const balancer = new LoadBalancer({ ejectionThreshold: 2, ejectionTime: 1000 });
+    const [c, a] = INSTANCES;
+
+    fail(balancer, a, 1);
+    balancer.begin('item-service', a)({ success: true });
+    fail(balancer, a, 1);
+    assert.strictEqual(balancer.isEjected('item-service', a), false);
+
+    fail(balancer, a, 1);
+    const stats = balancer.describe('item-service', 'a');
+    assert.strictEqual(stats.ejected, true);
+    assert.strictEqual(stats.ejections, 1);
+    assert.strictEqual(stats.failures, 3);
+    assert.strictEqual(stats.requests, 4);
+    assert.ok(!pickMany(balancer, INSTANCES, 4).includes('a'));
+
+    fail(balancer, c, 2);
+    fail(balancer, INSTANCES[2], 2);
+    assert.deepStrictEqual(pickMany(balancer, INSTANCES, 3).sort(), ['a', 'b', 'c']);
+});
+
+test('tempo de ejeção cresce a cada ejeção até o máximo', () => {
+    const balancer = new LoadBalancer({ ejectionThreshold: 1, ejectionTime: 1000, maxEjectionTime: 2500 });
+    const [, a] = INSTANCES;
+    const ejectedFor = () => balancer.getStats('item-service', 'a').ejectedUntil - Date.now();
+
+    fail(balancer, a, 1);
+    assert.ok(ejectedFor() <= 1000 && ejectedFor() > 900);
+    fail(balancer, a, 1);
+    assert.ok(ejectedFor() <= 2000 && ejectedFor() > 1900);
+    fail(balancer, a, 1);
+    assert.ok(ejectedFor() <= 2500 && ejectedFor() > 2400);
+
+    balancer.forget('item-service', 'a');
+    assert.strictEqual(balancer.isEjected('item-service', a), false);
+});
@@ -0,0 +1,106 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../shared/JsonDatabase');
+const MigrationRunner = require('../shared/MigrationRunner');
+
+const ADD_CATEGORY = `module.exports = {
+    description: 'Adiciona a categoria padrão',
+    up: ({ transform }) => transform('items', item => item.category === undefined ? { ...item, category: 'geral' } : item),
+    down: ({ transform }) => transform('items', ({ category, ...item }) => item)
+};
+`;
+
+const ADD_UNIT = `module.exports = {
+    up: ({ transform }) => transform('items', item => ({ ...item, unit: 'un' }))
+};
+`;
+
+let rootPath;
+let dbPath;
+let migrationsPath;
+
+beforeEach(async () => {
+    rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+    dbPath = path.join(rootPath, 'database');
+    migrationsPath = path.join(rootPath, 'migrations');
+    await fs.outputFile(path.join(migrationsPath, '001-add-category.js'), ADD_CATEGORY);
+});
+
+afterEach(async () => {
+    await fs.remove(rootPath);
+});
+
+function createRunner() {
+    return new MigrationRunner({ serviceName: 'teste', dbPath, migrationsPath });
+}
+
+async function withItems(task) {
+    const db = new JsonDatabase(dbPath, 'items', { compactInterval: 0 });
+    try {
+        return await task(db);
+    } finally {
+        await db.close();
+    }
+}
+
+test('migrate aplica as pendentes uma única vez e rollback as reverte', async () => {
+    await withItems(db => db.insertMany([{ name: 'arroz' }, { name: 'feijão', category: 'grãos' }]));
+    const runner = createRunner();
+
+    const applied = await runner.migrate();
+    assert.deepStrictEqual(applied.migrations.map(migration => migration.id), ['001-add-category']);
+    assert.deepStrictEqual((await runner.migrate()).migrations, []);
+    assert.deepStrictEqual((await runner.status()).map(migration => migration.applied), [true]);
+    await withItems(async db => {
+        assert.strictEqual((await db.findOne({ name: 'arroz' })).category, 'geral');
+        assert.strictEqual((await db.findOne({ name: 'feijão' })).category, 'grãos');
+    });
+
+    const reverted = await runner.rollback();
+    assert.deepStrictEqual(reverted.migrations.map(migration => [migration.id, migration.direction]), [['001-add-category', 'down']]);
+    assert.deepStrictEqual((await runner.status()).map(migration => migration.applied), [false]);
+    await withItems(async db => {
+        assert.ok((await db.find()).every(item => item.category === undefined));
+    });
+});
+
+test('migrate com dryRun resume as alterações sem gravar nada', async () => {
+    await withItems(db => db.insertMany([{ name: 'arroz' }, { name: 'feijão' }]));
+    const runner = createRunner();
+
+    const result = await runner.migrate({ dryRun: true });
+    assert.deepStrictEqual(result.changes, { items: { inserted: 0, updated: 2, deleted: 0 } });
+    assert.deepStrictEqual((await runner.status()).map(migration => migration.applied), [false]);
+    await withItems(async db => {
+        assert.ok((await db.find()).every(item => item.category === undefined));
+    });
+});
+
+test('transform não perde documentos gravados durante a migração', async () => {
+    const db = new JsonDatabase(dbPath, 'items', { compactInterval: 0 });
+    try {
+        await db.insertMany(Array.from({ length: 10 }, (_, i) => ({ name: `item-${i}` })));
+        await Promise.all([
+            createRunner().migrate(),
+            ...Array.from({ length: 20 }, (_, i) => db.create({ name: `novo-${i}` }))
+        ]);
+
+        const items = await db.find();
+        assert.strictEqual(items.length, 30);
+        assert.ok(items.filter(item => item.name.startsWith('item-')).every(item => item.category === 'geral'));
+    } finally {
+        await db.close();
+    }
+});
+
+test('rollback recusa migrações sem down', async () => {
+    await fs.outputFile(path.join(migrationsPath, '002-add-unit.js'), ADD_UNIT);
+    const runner = createRunner();
+    await runner.migrate();
+
+    await assert.rejects(runner.rollback(), /002-add-unit não é reversível/);
+    assert.deepStrictEqual((await runner.status()).map(migration => migration.applied), [true, true]);
+});
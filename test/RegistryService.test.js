@@ -0,0 +1,83 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const RegistryService = require('../registry-service/server');
+const HttpRegistry = require('../shared/registry/HttpRegistry');
+const RegistryView = require('../shared/registry/RegistryView');
+
+let service;
+let server;
+let baseUrl;
+
+beforeEach(async () => {
+    service = new RegistryService();
+    server = await new Promise(resolve => {
+        const listening = service.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('instâncias registradas por HTTP aparecem na listagem do serviço', async () => {
+    const first = await request('POST', '/services/item-service/instances', { url: 'http://localhost:3002', pid: 10 });
+    const second = await request('POST', '/services/item-service/instances', { url: 'http://localhost:3012', pid: 11 });
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(second.status, 201);
+
+    const { body } = await request('GET', '/services/item-service');
+    assert.deepStrictEqual(body.data.map(instance => instance.id).sort(), [first.body.data.id, second.body.data.id].sort());
+
+    const removed = await request('DELETE', `/services/item-service/instances/${first.body.data.id}`);
+    assert.strictEqual(removed.status, 200);
+    assert.strictEqual((await request('GET', '/services')).body.data['item-service'].length, 1);
+});
+
+test('registro sem url e instância desconhecida são recusados', async () => {
+    assert.strictEqual((await request('POST', '/services/item-service/instances', { pid: 10 })).status, 400);
+    assert.strictEqual((await request('GET', '/services/item-service')).status, 404);
+    assert.strictEqual((await request('PUT', '/services/item-service/instances/x/heartbeat', {})).status, 404);
+    assert.strictEqual((await request('PUT', '/services/item-service/instances/x/health', { healthy: 'sim' })).status, 400);
+});
+
+test('stream de eventos envia o snapshot e depois cada mudança do registry', async () => {
+    await request('POST', '/services/item-service/instances', { url: 'http://localhost:3002', instanceId: 'item-a' });
+
+    const view = new RegistryView();
+    const changes = [];
+    view.on('change', event => changes.push(`${event.type}:${event.instance.id}`));
+
+    const synced = new Promise((resolve, reject) => {
+        const subscription = new HttpRegistry(baseUrl).subscribe({
+            snapshot: services => {
+                view.replace(services, 'http');
+                resolve(subscription);
+            },
+            change: event => view.apply(event),
+            error: reject
+        });
+    });
+    const subscription = await synced;
+    assert.deepStrictEqual(view.instances('item-service').map(instance => instance.id), ['item-a']);
+
+    const received = new Promise(resolve => view.on('change', event => event.type === 'unregister' && resolve()));
+    await request('POST', '/services/item-service/instances', { url: 'http://localhost:3012', instanceId: 'item-b' });
+    await request('PUT', '/services/item-service/instances/item-a/health', { healthy: false });
+    await request('DELETE', '/services/item-service/instances/item-b');
+    await received;
+    subscription.close();
+
+    assert.deepStrictEqual(changes, ['register:item-a', 'register:item-b', 'health:item-a', 'unregister:item-b']);
+    assert.deepStrictEqual(view.instances('item-service').map(({ id, healthy }) => ({ id, healthy })), [{ id: 'item-a', healthy: false }]);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RegistryView = require('../shared/registry/RegistryView');
+
+function instance(id, fields = {}) {
+    return { id, url: `http://localhost/${id}`, healthy: true, ...fields };
+}
+
+function record(view) {
+    const events = [];
+    view.on('change', event => events.push(`${event.type}:${event.instance.id}`));
+    return events;
+}
+
+test('snapshot substitui a visão e publica só as diferenças', () => {
+    const view = new RegistryView();
+    const events = record(view);
+    const syncs = [];
+    view.on('sync', sync => syncs.push(sync.source));
+
+    view.replace({ 'item-service': [instance('a'), instance('b')] }, 'http');
+    view.replace({ 'item-service': [instance('a', { healthy: false }), instance('c')] }, 'http');
+
+    assert.deepStrictEqual(events, ['register:a', 'register:b', 'health:a', 'register:c', 'unregister:b']);
+    assert.deepStrictEqual(view.instances('item-service').map(item => item.id), ['a', 'c']);
+    assert.deepStrictEqual(syncs, ['http']);
+    assert.strictEqual(view.ready, true);
+
+    view.replace({}, 'file');
+    assert.deepStrictEqual(view.snapshot(), {});
+    assert.deepStrictEqual(syncs, ['http', 'file']);
+});
+
+test('eventos do stream atualizam a visão', () => {
+    const view = new RegistryView();
+    const events = record(view);
+
+    view.apply({ type: 'register', service: 'item-service', instance: instance('a') });
+    view.apply({ type: 'heartbeat', service: 'item-service', instance: instance('a') });
+    view.apply({ type: 'register', service: 'item-service', instance: instance('a', { version: '2.0.0' }) });
+    view.apply({ type: 'unregister', service: 'item-service', instance: instance('a') });
+
+    assert.deepStrictEqual(events, ['register:a', 'register:a', 'unregister:a']);
+    assert.deepStrictEqual(view.snapshot(), {});
+});
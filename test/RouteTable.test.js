@@ -0,0 +1,116 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const RouteTable = require('../api-gateway/RouteTable');
+
+const CONFIG = {
+    defaults: { auth: true, timeout: 5000 },
+    routes: [
+        { prefix: '/api/auth', service: 'user-service', rewrite: '/auth', methods: ['post'], auth: false },
+        { prefix: '/api/items/search', service: 'item-service', rewrite: '/search', methods: ['GET'], retries: 1 },
+        { prefix: '/api/items/', service: 'item-service', rewrite: '/items', methods: ['GET'] },
+        { prefix: '/api/items', service: 'item-service', rewrite: '/items', methods: ['POST', 'PUT'], roles: ['admin'] }
+    ]
+};
+
+let dirPath;
+let configFile;
+let table;
+
+beforeEach(async () => {
+    dirPath = await fs.mkdtemp(path.join(os.tmpdir(), 'routes-'));
+    configFile = path.join(dirPath, 'routes.json');
+    await fs.writeJson(configFile, CONFIG);
+    table = new RouteTable(configFile);
+});
+
+afterEach(async () => {
+    if (table.watcher) table.watcher.close();
+    await fs.remove(dirPath);
+});
+
+async function waitFor(condition, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Tempo esgotado aguardando a tabela de rotas');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('rotas herdam os valores de defaults e são normalizadas', () => {
+    const [auth, search, items, adminItems] = table.load();
+
+    assert.deepStrictEqual(auth, {
+        prefix: '/api/auth', service: 'user-service', rewrite: '/auth', methods: ['POST'],
+        auth: false, roles: [], timeout: 5000, retries: 0
+    });
+    assert.strictEqual(search.auth, true);
+    assert.strictEqual(search.retries, 1);
+    assert.strictEqual(items.prefix, '/api/items');
+    assert.deepStrictEqual(adminItems.roles, ['admin']);
+    assert.strictEqual(table.describe().revision, 1);
+});
+
+test('configurações inválidas são recusadas com a rota problemática', () => {
+    const invalid = route => () => RouteTable.normalize({ routes: [{ prefix: '/api/x', service: 'x', ...route }] });
+
+    assert.throws(() => RouteTable.normalize({}), /array "routes"/);
+    assert.throws(invalid({ prefix: 'api' }), /Rota 0 \(api\): "prefix" deve começar com "\/"/);
+    assert.throws(invalid({ service: '' }), /"service" é obrigatório/);
+    assert.throws(invalid({ methods: ['FETCH'] }), /"methods" deve conter apenas/);
+    assert.throws(invalid({ roles: 'admin' }), /"roles" deve ser um array/);
+    assert.throws(invalid({ timeout: 0 }), /"timeout" deve ser um inteiro positivo/);
+    assert.throws(invalid({ retries: -1 }), /"retries" deve ser um inteiro maior ou igual a 0/);
+    assert.strictEqual(RouteTable.normalize({ routes: [{ prefix: '/x', service: 'x', roles: ['admin'] }] })[0].auth, true);
+});
+
+test('vale o prefixo mais longo e o método define a rota', () => {
+    table.load();
+
+    assert.strictEqual(table.match('/api/items/search?q=arroz', 'GET').targetPath, '/search?q=arroz');
+    assert.strictEqual(table.match('/api/items/42', 'GET').targetPath, '/items/42');
+    assert.deepStrictEqual(table.match('/api/items/42', 'PUT').route.roles, ['admin']);
+    assert.deepStrictEqual(table.match('/api/items', 'DELETE'), { route: null, allowed: ['GET', 'POST', 'PUT'] });
+    assert.strictEqual(table.match('/api/itemsx', 'GET'), null);
+    assert.strictEqual(table.match('/api/lists', 'GET'), null);
+});
+
+test('rotas de routes.json exigem token nas leituras de itens e liberam o login', () => {
+    const gatewayTable = new RouteTable(path.join(__dirname, '..', 'api-gateway', 'routes.json'));
+    gatewayTable.load();
+
+    assert.strictEqual(gatewayTable.match('/api/auth/login', 'POST').route.auth, false);
+    assert.strictEqual(gatewayTable.match('/api/auth/logout', 'POST').route.auth, true);
+    assert.strictEqual(gatewayTable.match('/api/items', 'GET').route.auth, true);
+    assert.strictEqual(gatewayTable.match('/api/items/search?q=arroz', 'GET').targetPath, '/search?q=arroz');
+    assert.deepStrictEqual(gatewayTable.match('/api/items', 'POST').route.roles, ['admin']);
+});
+
+test('alteração do arquivo recarrega a tabela sem reiniciar', async () => {
+    table.load();
+    table.watch();
+
+    await fs.writeJson(configFile, { routes: [{ prefix: '/api/lists', service: 'list-service', rewrite: '/lists' }] });
+    await waitFor(() => table.revision === 2);
+
+    assert.strictEqual(table.match('/api/items', 'GET'), null);
+    assert.strictEqual(table.match('/api/lists/1', 'GET').targetPath, '/lists/1');
+    assert.strictEqual(table.describe().lastError, null);
+});
+
+test('arquivo inválido mantém a tabela anterior e registra o erro', async () => {
+    table.load();
+    table.watch();
+
+    await fs.writeFile(configFile, '{ "routes": [');
+    await waitFor(() => table.lastError !== null);
+
+    assert.strictEqual(table.revision, 1);
+    assert.strictEqual(table.match('/api/items/search', 'GET').targetPath, '/search');
+
+    await fs.writeJson(configFile, CONFIG);
+    await waitFor(() => table.revision === 2);
+    assert.strictEqual(table.lastError, null);
+});
@@ -0,0 +1,107 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../shared/JsonDatabase');
+const { TextIndex, analyze, foldText, highlight, stem } = require('../shared/TextIndex');
+
+const ITEMS = [
+    { id: 'arroz', name: 'Arroz Branco', brand: 'Tio João', description: 'Arroz tipo 1', category: 'Alimentos' },
+    { id: 'feijao', name: 'Feijão Carioca', brand: 'Camil', description: 'Feijão para acompanhar arroz e farofa', category: 'Alimentos' },
+    { id: 'limao', name: 'Limões', description: 'Limões frescos da estação', category: 'Hortifruti' },
+    { id: 'pao', name: 'Pãozinho Francês', description: 'Pães assados no dia', category: 'Padaria' }
+];
+
+function createIndex() {
+    const index = new TextIndex({ fields: ['name', 'brand', 'description', 'category'], weights: { name: 3, brand: 2 } });
+    index.rebuild(ITEMS, 'inicial');
+    return index;
+}
+
+function ranking(index, query) {
+    const { scores } = index.score(analyze(query));
+    return [...scores].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+}
+
+test('texto é normalizado sem acentos, stopwords, plurais e diminutivos', () => {
+    assert.strictEqual(foldText('Feijão CARIOCA'), 'feijao carioca');
+    assert.deepStrictEqual(analyze('Os limões e o pãozinho de feijões'), analyze('limão pão feijão'));
+    assert.deepStrictEqual(analyze('da de do'), []);
+    assert.strictEqual(stem('paes'), stem('pao'));
+    assert.strictEqual(stem('animais'), 'animal');
+    assert.strictEqual(stem('papeis'), 'papel');
+    assert.strictEqual(stem('cafezinho'), stem('cafe'));
+    assert.strictEqual(stem('sal'), 'sal');
+});
+
+test('BM25 ordena pelo peso do campo e pela raridade do termo', () => {
+    const index = createIndex();
+
+    assert.deepStrictEqual(ranking(index, 'arroz'), ['arroz', 'feijao']);
+    assert.deepStrictEqual(ranking(index, 'feijão'), ['feijao']);
+    assert.deepStrictEqual(ranking(index, 'limão'), ['limao']);
+    assert.deepStrictEqual(ranking(index, 'pão'), ['pao']);
+    assert.deepStrictEqual(ranking(index, 'de da do'), []);
+
+    const { scores } = index.score(analyze('alimentos farofa'));
+    assert.ok(scores.get('feijao') > scores.get('arroz'));
+});
+
+test('índice acompanha inserções, alterações e remoções', () => {
+    const index = createIndex();
+    const updated = { ...ITEMS[2], name: 'Laranja', description: 'Laranja pera' };
+
+    index.apply([
+        { op: 'update', before: ITEMS[2], document: updated },
+        { op: 'delete', id: 'pao' },
+        { op: 'insert', document: { id: 'farinha', name: 'Farinha de Trigo', category: 'Alimentos' } }
+    ], 'depois');
+
+    assert.strictEqual(index.stamp, 'depois');
+    assert.deepStrictEqual(ranking(index, 'limão'), []);
+    assert.deepStrictEqual(ranking(index, 'laranja'), ['limao']);
+    assert.deepStrictEqual(ranking(index, 'pão'), []);
+    assert.deepStrictEqual(ranking(index, 'trigo'), ['farinha']);
+    assert.strictEqual(index.documents.size, 4);
+});
+
+test('destaque marca as palavras encontradas e escapa HTML', () => {
+    const terms = new Set(analyze('limão'));
+    assert.strictEqual(highlight('Limões <frescos>', terms), '<mark>Limões</mark> &lt;frescos&gt;');
+    assert.strictEqual(highlight('Laranjas', terms), null);
+});
+
+test('busca textual da coleção devolve pontuação, destaques e cursor', async () => {
+    const dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'textindex-'));
+    const db = new JsonDatabase(dbPath, 'items', {
+        journal: false,
+        compactInterval: 0,
+        textIndex: { fields: ['name', 'brand', 'description', 'category'], weights: { name: 3, brand: 2 } }
+    });
+    try {
+        await db.insertMany(ITEMS.map(item => ({ ...item, active: item.id !== 'feijao' })));
+
+        const first = await db.textSearch('arroz', { limit: 1 });
+        assert.strictEqual(first.total, 2);
+        assert.strictEqual(first.hits[0].document.id, 'arroz');
+        assert.ok(first.hits[0].score > 0);
+        assert.deepStrictEqual(first.hits[0].highlights, {
+            name: '<mark>Arroz</mark> Branco',
+            description: '<mark>Arroz</mark> tipo 1'
+        });
+
+        const second = await db.textSearch('arroz', { limit: 1, after: first.nextCursor });
+        assert.deepStrictEqual(second.hits.map(hit => hit.document.id), ['feijao']);
+        assert.strictEqual(second.hasMore, false);
+
+        const active = await db.textSearch('arroz', { filter: { active: true } });
+        assert.deepStrictEqual(active.hits.map(hit => hit.document.id), ['arroz']);
+
+        await db.update('arroz', { name: 'Arroz Integral' });
+        assert.strictEqual((await db.textSearch('integral')).hits[0].document.id, 'arroz');
+    } finally {
+        await db.close();
+        await fs.remove(dbPath);
+    }
+});
@@ -0,0 +1,70 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../shared/JsonDatabase');
+const UserService = require('../services/user-service/server');
+const { revocationSchema } = require('../services/user-service/schemas');
+
+const USER = { id: 'u1', username: 'maria', role: 'user', tokenId: 'sessao-atual', tokenExpiresAt: Date.now() + 3600000 };
+
+let dbPath;
+let service;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'user-service-'));
+    service = Object.create(UserService.prototype);
+    service.revocationsDb = new JsonDatabase(dbPath, 'revocations', {
+        indexes: ['userId', 'tokenId'],
+        schema: revocationSchema,
+        journal: false,
+        compactInterval: 0
+    });
+});
+
+afterEach(async () => {
+    await service.revocationsDb.close();
+    await fs.remove(dbPath);
+});
+
+function createResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+async function logout(body) {
+    const res = createResponse();
+    await service.logout({ body, user: USER }, res);
+    assert.strictEqual(res.statusCode, 200);
+    return res.body.data;
+}
+
+test('logout de todas as sessões revoga inclusive tokens emitidos no mesmo segundo', async () => {
+    const revocation = await logout({ all: true });
+    const second = Math.floor(Date.parse(revocation.revokedAt) / 1000);
+
+    assert.strictEqual(await service.isRevoked({ id: 'u1', jti: 'antigo', iat: second - 60 }), true);
+    assert.strictEqual(await service.isRevoked({ id: 'u1', jti: 'sessao-atual', iat: second }), true);
+    assert.strictEqual(await service.isRevoked({ id: 'u1', jti: 'novo', iat: second + 1 }), false);
+    assert.strictEqual(await service.isRevoked({ id: 'u2', jti: 'outro', iat: second }), false);
+});
+
+test('logout simples revoga apenas o token usado', async () => {
+    const revocation = await logout({});
+    const second = Math.floor(Date.parse(revocation.revokedAt) / 1000);
+
+    assert.strictEqual(revocation.tokenId, 'sessao-atual');
+    assert.strictEqual(await service.isRevoked({ id: 'u1', jti: 'sessao-atual', iat: second }), true);
+    assert.strictEqual(await service.isRevoked({ id: 'u1', jti: 'outra-sessao', iat: second }), false);
+});
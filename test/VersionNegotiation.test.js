@@ -0,0 +1,96 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const APIGateway = require('../api-gateway/server');
+const serviceRegistry = require('../shared/serviceRegistry');
+const RegistryView = require('../shared/registry/RegistryView');
+
+const { DiscoveryError } = serviceRegistry;
+
+let gateway;
+
+beforeEach(() => {
+    serviceRegistry.view = new RegistryView();
+    serviceRegistry.view.replace({
+        'item-service': [
+            { id: 'v1', version: '1.4.0', tags: ['stable'], healthy: true },
+            { id: 'v2', version: '2.1.0', tags: ['beta'], healthy: true },
+            { id: 'v2-down', version: '2.3.0', healthy: false }
+        ]
+    }, 'http');
+    gateway = Object.create(APIGateway.prototype);
+    gateway.defaultApiVersion = '1';
+});
+
+afterEach(() => {
+    serviceRegistry.view = null;
+});
+
+function resolve(url, headers = {}) {
+    const req = { url, header: name => headers[name] };
+    const res = {
+        statusCode: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    let nextCalled = false;
+    gateway.resolveApiVersion(req, res, () => {
+        nextCalled = true;
+    });
+    return { req, res, nextCalled };
+}
+
+async function discover(version) {
+    return (await gateway.discoverInstances('item-service', version)).map(instance => instance.id);
+}
+
+test('versão vem do prefixo /api/vN ou dos cabeçalhos Accept-Version e X-API-Version', () => {
+    const prefixed = resolve('/api/v2/items?limit=5');
+    assert.strictEqual(prefixed.req.url, '/api/items?limit=5');
+    assert.strictEqual(prefixed.req.apiVersion, '^2');
+
+    assert.strictEqual(resolve('/api/items', { 'Accept-Version': '2' }).req.apiVersion, '^2');
+    assert.strictEqual(resolve('/api/items', { 'X-API-Version': '>=1.2 <2' }).req.apiVersion, '>=1.2 <2');
+    assert.strictEqual(resolve('/api/items').req.apiVersion, null);
+});
+
+test('versão de API inválida é recusada com 400', () => {
+    const { res, nextCalled } = resolve('/api/items', { 'Accept-Version': 'ultima' });
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(res.body.message, 'Versão de API inválida: ultima');
+});
+
+test('faixa semver escolhe apenas instâncias saudáveis compatíveis', async () => {
+    assert.deepStrictEqual(await discover('^2'), ['v2']);
+    assert.deepStrictEqual(await discover('~1.4'), ['v1']);
+    assert.deepStrictEqual(await discover('>=1.0.0'), ['v1', 'v2']);
+});
+
+test('sem versão pedida o gateway prefere a versão padrão da API', async () => {
+    assert.deepStrictEqual(await discover(null), ['v1']);
+
+    gateway.defaultApiVersion = '3';
+    assert.deepStrictEqual(await discover(null), ['v1', 'v2']);
+});
+
+test('versão sem instância compatível informa as versões disponíveis', async () => {
+    await assert.rejects(discover('^3'), error => {
+        assert.ok(error instanceof DiscoveryError);
+        assert.strictEqual(error.code, 'NO_MATCHING_INSTANCE');
+        assert.deepStrictEqual(error.availableVersions, ['1.4.0', '2.1.0', '2.3.0']);
+        return true;
+    });
+    await assert.rejects(discover('~2.3'), { code: 'SERVICE_UNAVAILABLE' });
+});
+
+test('tags e versões coagidas também filtram as instâncias', () => {
+    assert.strictEqual(serviceRegistry.matches({ version: '2.1', tags: ['beta', 'eu'] }, { version: '^2', tags: ['beta'] }), true);
+    assert.strictEqual(serviceRegistry.matches({ version: '2.1.0', tags: [] }, { tags: ['beta'] }), false);
+    assert.strictEqual(serviceRegistry.matches({ version: 'sem-versao' }, { version: '^1' }), false);
+});
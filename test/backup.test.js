@@ -0,0 +1,126 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execFile } = require('child_process');
+const fs = require('fs-extra');
+const JsonDatabase = require('../shared/JsonDatabase');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'backup.js');
+
+let rootDir;
+let backupDir;
+
+beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'backup-'));
+    backupDir = path.join(rootDir, 'backups');
+    await fs.ensureDir(path.join(rootDir, 'shared'));
+    await seed('item-service', 'items', [{ id: 'arroz', name: 'Arroz' }, { id: 'feijao', name: 'Feijão' }]);
+    await seed('list-service', 'lists', [{ id: 'l1', name: 'Semana' }]);
+});
+
+afterEach(async () => {
+    await fs.remove(rootDir);
+});
+
+function databasePath(service) {
+    return path.join(rootDir, 'services', service, 'database');
+}
+
+async function withDatabase(service, collection, task) {
+    const db = new JsonDatabase(databasePath(service), collection, { journal: false, cache: false, compactInterval: 0 });
+    try {
+        return await task(db);
+    } finally {
+        await db.close();
+    }
+}
+
+function seed(service, collection, documents) {
+    return withDatabase(service, collection, db => db.insertMany(documents));
+}
+
+function names(service, collection) {
+    return withDatabase(service, collection, async db => (await db.find()).map(doc => doc.name).sort());
+}
+
+function backup(...args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [SCRIPT, ...args], {
+            env: { ...process.env, BACKUP_ROOT_DIR: rootDir, BACKUP_DIR: backupDir },
+            timeout: 60000
+        }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+}
+
+async function createSnapshot() {
+    const result = await backup('create');
+    assert.strictEqual(result.code, 0, result.stderr);
+    return result.stdout.match(/Snapshot criado: (\S+)/)[1];
+}
+
+test('create guarda todos os serviços e verify confirma o snapshot', async () => {
+    const name = await createSnapshot();
+
+    const archive = JSON.parse(zlib.gunzipSync(await fs.readFile(path.join(backupDir, `${name}.json.gz`))));
+    assert.deepStrictEqual(Object.keys(archive.services), ['item-service', 'list-service']);
+    assert.strictEqual(archive.services['item-service'].collections.items.count, 2);
+
+    const verified = await backup('verify', name);
+    assert.strictEqual(verified.code, 0, verified.stderr);
+    assert.match(verified.stdout, /Snapshot íntegro: item-service \(items: 2\); list-service \(lists: 1\)/);
+    assert.match((await backup('list')).stdout, new RegExp(name));
+});
+
+test('verify recusa snapshot alterado ou ilegível', async () => {
+    const name = await createSnapshot();
+    const archivePath = path.join(backupDir, `${name}.json.gz`);
+    const archive = JSON.parse(zlib.gunzipSync(await fs.readFile(archivePath)));
+    archive.services['item-service'].collections.items.documents[0].name = 'Alterado';
+    await fs.writeFile(archivePath, zlib.gzipSync(JSON.stringify(archive)));
+
+    const tampered = await backup('verify', name);
+    assert.strictEqual(tampered.code, 1);
+    assert.match(tampered.stderr, /item-service\/items: checksum não confere/);
+
+    await fs.writeFile(archivePath, 'não é gzip');
+    assert.match((await backup('verify', name)).stderr, /Snapshot ilegível/);
+    assert.match((await backup('verify', 'inexistente')).stderr, /Snapshot não encontrado: inexistente/);
+});
+
+test('restore devolve as coleções ao estado do snapshot e salva o estado anterior', async () => {
+    const name = await createSnapshot();
+    await withDatabase('item-service', 'items', async db => {
+        await db.update('arroz', { name: 'Arroz Integral' });
+        await db.delete('feijao');
+        await db.create({ id: 'sal', name: 'Sal' });
+    });
+    await seed('list-service', 'lists', [{ id: 'l2', name: 'Mês' }]);
+
+    const restored = await backup('restore', name, 'item-service');
+    assert.strictEqual(restored.code, 0, restored.stderr);
+    assert.match(restored.stdout, /item-service\/items: 2 documentos \(1 recriados, 1 restaurados, 1 removidos\)/);
+
+    assert.deepStrictEqual(await names('item-service', 'items'), ['Arroz', 'Feijão']);
+    assert.deepStrictEqual(await names('list-service', 'lists'), ['Mês', 'Semana']);
+
+    const snapshots = (await fs.readdir(backupDir)).filter(file => file.includes('pre-restore'));
+    assert.strictEqual(snapshots.length, 1);
+});
+
+test('restore recusa serviços em execução sem --force', async () => {
+    const name = await createSnapshot();
+    await fs.writeJson(path.join(rootDir, 'shared', 'services-registry.json'), {
+        'item-service': { url: 'http://localhost:3002', pid: process.pid, registeredAt: Date.now() }
+    });
+
+    const refused = await backup('restore', name, '--no-safety');
+    assert.strictEqual(refused.code, 1);
+    assert.match(refused.stderr, /Pare os serviços antes de restaurar \(em execução: item-service\) ou use --force/);
+
+    const forced = await backup('restore', name, '--no-safety', '--force');
+    assert.strictEqual(forced.code, 0, forced.stderr);
+    assert.deepStrictEqual((await fs.readdir(backupDir)).filter(file => file.includes('pre-restore')), []);
+    assert.match((await backup('restore', name, 'user-service')).stderr, /Serviços ausentes no snapshot: user-service/);
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { IdentityError, signIdentity, stripIdentity, verifyIdentity } = require('../shared/identity');
+
+const USER = { id: 'u1', email: 'maria@exemplo.com', username: 'maria', role: 'user', tokenId: 't1', tokenExpiresAt: 1715346000000 };
+const NOW = Date.parse('2024-05-10T12:00:00.000Z');
+
+function rejection(message) {
+    return error => error instanceof IdentityError && error.message === message;
+}
+
+test('identidade assinada pelo gateway é verificada pelos serviços', () => {
+    assert.deepStrictEqual(verifyIdentity(signIdentity(USER, NOW), NOW + 1000), USER);
+});
+
+test('cabeçalhos de identidade alterados ou ausentes são recusados', () => {
+    const headers = signIdentity(USER, NOW);
+
+    assert.throws(() => verifyIdentity({ ...headers, 'x-user-role': 'admin' }, NOW), rejection('Assinatura de identidade inválida'));
+    assert.throws(() => verifyIdentity({ ...headers, 'x-user-id': 'u2' }, NOW), rejection('Assinatura de identidade inválida'));
+    assert.throws(() => verifyIdentity(stripIdentity(headers), NOW), rejection('Identidade ausente'));
+});
+
+test('identidade assinada há mais tempo que o permitido expira', () => {
+    const headers = signIdentity(USER, NOW);
+    assert.throws(() => verifyIdentity(headers, NOW + 30001), rejection('Identidade expirada'));
+});
+
+test('stripIdentity remove cabeçalhos de identidade enviados pelo cliente', () => {
+    const headers = { 'content-type': 'application/json', 'X-User-Role': 'admin', ...signIdentity(USER, NOW) };
+    assert.deepStrictEqual(stripIdentity(headers), { 'content-type': 'application/json' });
+});
@@ -0,0 +1,50 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { SecretError, getSecret } = require('../shared/secrets');
+
+const original = {
+    NODE_ENV: process.env.NODE_ENV,
+    JWT_SECRET: process.env.JWT_SECRET
+};
+
+afterEach(() => {
+    Object.entries(original).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+    });
+});
+
+test('em desenvolvimento o segredo tem valor padrão', () => {
+    delete process.env.NODE_ENV;
+    delete process.env.JWT_SECRET;
+    assert.strictEqual(getSecret('JWT_SECRET'), 'user-secret');
+
+    process.env.JWT_SECRET = 'configurado';
+    assert.strictEqual(getSecret('JWT_SECRET'), 'configurado');
+});
+
+test('fora de desenvolvimento segredos ausentes ou padrão são recusados', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.JWT_SECRET;
+    assert.throws(() => getSecret('JWT_SECRET'), SecretError);
+
+    process.env.JWT_SECRET = 'user-secret';
+    assert.throws(() => getSecret('JWT_SECRET'), /JWT_SECRET precisa ser definido/);
+
+    process.env.JWT_SECRET = 'segredo-de-producao';
+    assert.strictEqual(getSecret('JWT_SECRET'), 'segredo-de-producao');
+});
+
+test('requireSecrets encerra o processo quando falta um segredo', async () => {
+    const script = `require(${JSON.stringify(require.resolve('../shared/secrets'))}).requireSecrets('Teste', 'JWT_SECRET');`;
+    const env = { ...process.env, NODE_ENV: 'production' };
+    delete env.JWT_SECRET;
+
+    await assert.rejects(promisify(execFile)(process.execPath, ['-e', script], { env, timeout: 30000 }), error => {
+        assert.strictEqual(error.code, 1);
+        assert.match(error.stderr, /Teste não será iniciado/);
+        return true;
+    });
+});
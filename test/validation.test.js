@@ -0,0 +1,75 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../shared/JsonDatabase');
+const { ValidationError, validateDocument } = require('../shared/validation');
+const { itemSchema } = require('../services/item-service/schemas');
+const { userSchema } = require('../services/user-service/schemas');
+
+const ITEM = { id: 'arroz', name: 'Arroz', category: 'Alimentos', unit: 'kg', averagePrice: 5.5, active: true };
+
+let dbPath;
+let db;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'validation-'));
+    db = new JsonDatabase(dbPath, 'items', { schema: itemSchema, journal: false, compactInterval: 0 });
+});
+
+afterEach(async () => {
+    await db.close();
+    await fs.remove(dbPath);
+});
+
+function rules(schema, document) {
+    return validateDocument(schema, document).map(error => `${error.field}:${error.rule}`);
+}
+
+test('documento válido não tem erros', () => {
+    assert.deepStrictEqual(validateDocument(itemSchema, { ...ITEM, brand: null, barcode: '7891234567890' }), []);
+});
+
+test('tipo, obrigatório, enum, limites, padrão e formato são verificados', () => {
+    assert.deepStrictEqual(rules(itemSchema, { ...ITEM, averagePrice: '5', active: undefined }), ['active:required', 'averagePrice:type']);
+    assert.deepStrictEqual(rules(itemSchema, { ...ITEM, unit: 'tonelada', averagePrice: -1 }), ['unit:enum', 'averagePrice:minimum']);
+    assert.deepStrictEqual(rules(itemSchema, { ...ITEM, name: '', barcode: '12ab' }), ['name:minLength', 'barcode:pattern']);
+    assert.deepStrictEqual(rules(itemSchema, { ...ITEM, averagePrice: NaN, _version: 1.5 }), ['averagePrice:type', '_version:type']);
+    assert.deepStrictEqual(rules(itemSchema, { ...ITEM, createdAt: '19/10/2026' }), ['createdAt:format']);
+    assert.deepStrictEqual(rules(itemSchema, 'arroz'), ['(documento):type']);
+});
+
+test('objetos aninhados, arrays e propriedades extras são validados', () => {
+    const user = {
+        id: 'u1', email: 'maria@exemplo.com', username: 'maria', password: 'hash',
+        firstName: 'Maria', lastName: 'Silva', role: 'user', status: 'active'
+    };
+    assert.deepStrictEqual(rules(userSchema, { ...user, email: 'maria', preferences: { currency: 'real' } }),
+        ['email:format', 'preferences.currency:pattern']);
+
+    const schema = {
+        additionalProperties: false,
+        properties: { tags: { type: 'array', maxItems: 2, items: { type: 'string', minLength: 2 } } }
+    };
+    assert.deepStrictEqual(rules(schema, { tags: ['ok', 'x', 'mais'], extra: 1 }), ['tags:maxItems', 'tags[1]:minLength', 'extra:additionalProperties']);
+});
+
+test('gravações inválidas são recusadas sem alterar a coleção', async () => {
+    const created = await db.create(ITEM);
+
+    await assert.rejects(db.create({ ...ITEM, id: 'feijao', unit: 'saco' }), error => {
+        assert.ok(error instanceof ValidationError);
+        assert.strictEqual(error.code, 'VALIDATION_FAILED');
+        assert.strictEqual(error.collectionName, 'items');
+        assert.deepStrictEqual(error.errors.map(item => item.field), ['unit']);
+        assert.match(error.message, /^Documento inválido para a coleção items: unit deve ser um dos valores/);
+        return true;
+    });
+    await assert.rejects(db.update('arroz', { averagePrice: -2 }), JsonDatabase.ValidationError);
+    await assert.rejects(db.insertMany([{ ...ITEM, id: 'feijao' }, { ...ITEM, id: 'sal', name: '' }]), ValidationError);
+    await assert.rejects(db.upsert({ id: 'sal' }, { name: 'Sal' }), ValidationError);
+
+    assert.deepStrictEqual(await db.find(), [created]);
+    assert.deepStrictEqual(await fs.readJson(path.join(dbPath, 'items.json')), [created]);
+});